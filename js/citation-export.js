@@ -0,0 +1,202 @@
+/**
+ * Citation Exporter
+ * Serialises publication records to BibTeX, RIS and CSL-JSON and hands the
+ * result to the user as a download or through the clipboard
+ */
+
+class CitationExporter {
+    /**
+     * Supported formats with their file extension and MIME type
+     */
+    static get FORMATS() {
+        return {
+            bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex' },
+            ris: { label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems' },
+            'csl-json': { label: 'CSL-JSON', extension: 'json', type: 'application/vnd.citationstyles.csl+json' }
+        };
+    }
+
+    /**
+     * Serialise publications to the given format
+     */
+    static serialize(publications, format) {
+        switch (format) {
+            case 'bibtex':
+                return CitationExporter.toBibTeX(publications);
+            case 'ris':
+                return CitationExporter.toRIS(publications);
+            case 'csl-json':
+                return CitationExporter.toCSLJSON(publications);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Shared view of a record: parsed authors, venue, the Crossref details and a unique citation key
+     */
+    static describe(publications) {
+        const usedKeys = new Set();
+
+        return publications.map(pub => {
+            const authors = PublicationFields.parseAuthors(pub.authors);
+            const venue = PublicationFields.parseVenue(pub.venue);
+            const year = /^\d{4}$/.test(String(pub.year).trim()) ? String(pub.year).trim() : '';
+
+            return {
+                pub,
+                authors,
+                venue,
+                year,
+                link: pub.url || (pub.link && pub.link !== '#' ? pub.link : ''),
+                doi: pub.doi || '',
+                volume: pub.volume || '',
+                issue: pub.issue || '',
+                pages: pub.pages || '',
+                issn: pub.issn || '',
+                key: CitationExporter.citationKey(authors, year, pub.title, usedKeys)
+            };
+        });
+    }
+
+    /**
+     * Generate a key such as "ariffin2020network", adding a, b, c... on collisions
+     */
+    static citationKey(authors, year, title, usedKeys) {
+        const stopWords = ['a', 'an', 'the', 'on', 'of', 'in', 'for', 'and', 'to', 'using', 'with'];
+        const ascii = text => text.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+
+        const family = authors.length > 0 ? ascii(authors[0].family) : 'anon';
+        const word = String(title || '').split(/\s+/).map(ascii).find(w => w && !stopWords.includes(w)) || '';
+        const base = `${family}${year}${word}`;
+
+        let key = base;
+        for (let i = 0; usedKeys.has(key); i++) {
+            key = base + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : '');
+        }
+        usedKeys.add(key);
+        return key;
+    }
+
+    /**
+     * BibTeX: @article with journal or @inproceedings with booktitle
+     */
+    static toBibTeX(publications) {
+        const escape = text => String(text).replace(/[{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+
+        return CitationExporter.describe(publications).map(entry => {
+            const isConference = entry.venue.type === 'conference';
+            const authors = entry.authors.map(name => PublicationFields.formatName(name, 'family-initials'));
+            if (entry.authors.etAl) authors.push('others');
+
+            const fields = [
+                ['title', entry.pub.title],
+                ['author', authors.join(' and ')],
+                [isConference ? 'booktitle' : 'journal', entry.venue.name],
+                ['year', entry.year],
+                ['volume', entry.volume],
+                ['number', entry.issue],
+                ['pages', entry.pages.replace(/\s*[-\u2013]\s*/, '--')],
+                ['issn', entry.issn],
+                ['doi', entry.doi],
+                ['url', entry.link]
+            ].filter(([, value]) => value);
+
+            const verbatim = ['url', 'doi'];
+            const body = fields.map(([name, value]) => `  ${name} = {${verbatim.includes(name) ? value : escape(value)}}`).join(',\n');
+            return `@${isConference ? 'inproceedings' : 'article'}{${entry.key},\n${body}\n}`;
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * RIS: JOUR or CONF records with one AU line per author
+     */
+    static toRIS(publications) {
+        return CitationExporter.describe(publications).map(entry => {
+            const lines = [`TY  - ${entry.venue.type === 'conference' ? 'CONF' : 'JOUR'}`];
+            lines.push(`ID  - ${entry.key}`);
+            lines.push(`TI  - ${entry.pub.title}`);
+            entry.authors.forEach(name => lines.push(`AU  - ${PublicationFields.formatName(name, 'family-initials')}`));
+            if (entry.venue.name) lines.push(`T2  - ${entry.venue.name}`);
+            if (entry.year) lines.push(`PY  - ${entry.year}`);
+            if (entry.volume) lines.push(`VL  - ${entry.volume}`);
+            if (entry.issue) lines.push(`IS  - ${entry.issue}`);
+            if (entry.pages) {
+                const [start, end] = entry.pages.split(/\s*[-\u2013]\s*/);
+                lines.push(`SP  - ${start}`);
+                if (end) lines.push(`EP  - ${end}`);
+            }
+            if (entry.issn) lines.push(`SN  - ${entry.issn}`);
+            if (entry.doi) lines.push(`DO  - ${entry.doi}`);
+            if (entry.link) lines.push(`UR  - ${entry.link}`);
+            lines.push('ER  - ');
+            return lines.join('\r\n');
+        }).join('\r\n\r\n') + '\r\n';
+    }
+
+    /**
+     * CSL-JSON: an array of CSL items, as read by Zotero, Mendeley and citeproc
+     */
+    static toCSLJSON(publications) {
+        const items = CitationExporter.describe(publications).map(entry => {
+            const item = {
+                id: entry.key,
+                type: entry.venue.type === 'conference' ? 'paper-conference' : 'article-journal',
+                title: entry.pub.title,
+                author: entry.authors.map(name => ({ family: name.family, given: name.given }))
+            };
+            if (entry.venue.name) item['container-title'] = entry.venue.name;
+            if (entry.year) item.issued = { 'date-parts': [[Number(entry.year)]] };
+            if (entry.volume) item.volume = entry.volume;
+            if (entry.issue) item.issue = entry.issue;
+            if (entry.pages) item.page = entry.pages;
+            if (entry.issn) item.ISSN = entry.issn;
+            if (entry.doi) item.DOI = entry.doi;
+            if (entry.link) item.URL = entry.link;
+            return item;
+        });
+        return JSON.stringify(items, null, 2) + '\n';
+    }
+
+    /**
+     * Save text as a file through a temporary object URL
+     */
+    static download(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Copy text to the clipboard, falling back to a hidden textarea where the API is unavailable
+     */
+    static async copy(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'absolute';
+        textarea.style.left = '-9999px';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (!copied) {
+            throw new Error('Copy command was rejected');
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CitationExporter;
+}
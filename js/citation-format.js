@@ -0,0 +1,170 @@
+/**
+ * Citation Formatter
+ * Renders publication records as IEEE, APA 7 or Harvard references
+ */
+
+class CitationFormatter {
+    /**
+     * Available reference styles
+     */
+    static get STYLES() {
+        return {
+            ieee: 'IEEE',
+            apa: 'APA 7',
+            harvard: 'Harvard'
+        };
+    }
+
+    /**
+     * Format a publication as a list of { text, italic } segments.
+     * index is the 1-based position, used for the IEEE reference number.
+     */
+    static format(pub, style, index) {
+        const authors = PublicationFields.parseAuthors(pub.authors);
+        const venue = PublicationFields.parseVenue(pub.venue);
+        const year = /^\d{4}$/.test(String(pub.year).trim()) ? String(pub.year).trim() : '';
+        const title = String(pub.title || '').replace(/[.\s]+$/, '');
+        const record = {
+            authors, venue, year, title,
+            volume: pub.volume || '',
+            issue: pub.issue || '',
+            pages: String(pub.pages || '').replace(/\s*-\s*/, '\u2013'),
+            doi: pub.doi || ''
+        };
+
+        switch (style) {
+            case 'ieee':
+                return CitationFormatter.formatIEEE(record, index);
+            case 'apa':
+                return CitationFormatter.formatAPA(record);
+            case 'harvard':
+                return CitationFormatter.formatHarvard(record);
+            default:
+                throw new Error(`Unknown citation style: ${style}`);
+        }
+    }
+
+    /**
+     * Join names as "A, B, and C" (serial comma) or "A, B & C" depending on the style
+     */
+    static joinNames(names, conjunction, serialComma) {
+        if (names.length <= 1) return names.join('');
+        if (names.length === 2 && !serialComma) return `${names[0]} ${conjunction} ${names[1]}`;
+
+        const head = names.slice(0, -1).join(', ');
+        return `${head}${serialComma ? ',' : ''} ${conjunction} ${names[names.length - 1]}`;
+    }
+
+    /**
+     * IEEE: [1] M. A. M. Ariffin and Z. Kasiran, "Title," in Venue, vol. 9, no. 1, pp. 10–15, 2020, doi: 10.x/y.
+     * More than six authors collapse to the first author et al.
+     */
+    static formatIEEE(record, index) {
+        const names = record.authors.map(name => PublicationFields.formatName(name, 'initials-first'));
+        let authorText;
+        if (names.length > 6 || (record.authors.etAl && names.length > 0)) {
+            authorText = `${names[0]} et al.`;
+        } else {
+            authorText = CitationFormatter.joinNames(names, 'and', names.length > 2);
+        }
+
+        const segments = [{ text: `[${index}] ` }];
+        if (authorText) segments.push({ text: `${authorText}, ` });
+        segments.push({ text: `"${record.title}," ` });
+        const details = [];
+        if (record.volume) details.push(`vol. ${record.volume}`);
+        if (record.issue) details.push(`no. ${record.issue}`);
+        if (record.pages) details.push(`${/\u2013/.test(record.pages) ? 'pp.' : 'p.'} ${record.pages}`);
+        if (record.year) details.push(record.year);
+        if (record.doi) details.push(`doi: ${record.doi}`);
+
+        if (record.venue.name) {
+            if (record.venue.type === 'conference') segments.push({ text: 'in ' });
+            segments.push({ text: record.venue.name, italic: true });
+            segments.push({ text: details.length > 0 ? `, ${details.join(', ')}.` : '.' });
+        } else if (details.length > 0) {
+            segments.push({ text: `${details.join(', ')}.` });
+        }
+        return segments;
+    }
+
+    /**
+     * APA 7: Ariffin, M. A. M., & Kasiran, Z. (2020). Title. Venue, 9(1), 10–15. https://doi.org/10.x/y
+     * Up to 20 authors are listed; longer lists keep the first 19, an ellipsis and the last.
+     */
+    static formatAPA(record) {
+        const names = record.authors.map(name => PublicationFields.formatName(name, 'family-initials'));
+        let authorText;
+        if (names.length > 20) {
+            authorText = `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+        } else {
+            authorText = names.length > 1
+                ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+                : names.join('');
+        }
+        if (record.authors.etAl && authorText) authorText += ', et al.';
+
+        const date = `(${record.year || 'n.d.'}).`;
+        const segments = [];
+        if (authorText) {
+            segments.push({ text: `${authorText} ${date} ${record.title}. ` });
+        } else {
+            segments.push({ text: `${record.title}. ${date} ` });
+        }
+        if (record.venue.name) {
+            if (record.venue.type === 'conference') segments.push({ text: 'In ' });
+            segments.push({ text: record.venue.name, italic: true });
+            if (record.volume) {
+                segments.push({ text: ', ' });
+                segments.push({ text: record.volume, italic: true });
+                if (record.issue) segments.push({ text: `(${record.issue})` });
+            }
+            segments.push({ text: record.pages ? `, ${record.pages}.` : '.' });
+        }
+        if (record.doi) segments.push({ text: ` https://doi.org/${record.doi}` });
+        return segments;
+    }
+
+    /**
+     * Harvard: Ariffin, M.A.M. and Kasiran, Z. (2020) 'Title', Venue, 9(1), pp. 10–15. doi: 10.x/y.
+     */
+    static formatHarvard(record) {
+        const names = record.authors.map(name => {
+            const initials = name.initials.map(initial => `${initial}.`).join('');
+            return initials ? `${name.family}, ${initials}` : name.family;
+        });
+        let authorText = CitationFormatter.joinNames(names, 'and', false);
+        if (record.authors.etAl && authorText) authorText += ' et al.';
+
+        const segments = [{ text: `${authorText || record.title} (${record.year || 'no date'}) ` }];
+        if (authorText) segments.push({ text: `'${record.title}'${record.venue.name ? ', ' : '.'}` });
+        if (record.venue.name) {
+            if (record.venue.type === 'conference') segments.push({ text: 'in ' });
+            segments.push({ text: record.venue.name, italic: true });
+            const details = [];
+            if (record.volume) details.push(`${record.volume}${record.issue ? `(${record.issue})` : ''}`);
+            if (record.pages) details.push(`${/\u2013/.test(record.pages) ? 'pp.' : 'p.'} ${record.pages}`);
+            segments.push({ text: details.length > 0 ? `, ${details.join(', ')}.` : '.' });
+        }
+        if (record.doi) segments.push({ text: ` doi: ${record.doi}.` });
+        return segments;
+    }
+
+    /**
+     * Render segments as escaped HTML (SafeHtml) with the italic parts wrapped in <em>
+     */
+    static toHtml(segments) {
+        return SafeHtml.html`${segments.map(segment => (segment.italic ? SafeHtml.html`<em>${segment.text}</em>` : segment.text))}`;
+    }
+
+    /**
+     * Render segments as plain text
+     */
+    static toText(segments) {
+        return segments.map(segment => segment.text).join('');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CitationFormatter;
+}
@@ -0,0 +1,94 @@
+/**
+ * Citation Metrics Dashboard
+ * Summary cards and per-year charts for the Scholar profile, shown at the top
+ * of the publications modal
+ */
+
+class CitationMetrics {
+    /**
+     * Work out totals, h-index and i10-index from the listed publications.
+     * Used when Scholar's own metrics table is not available (e.g. bundled data).
+     * Records without a citation count (ORCID) are left out; with none at all the cards stay empty.
+     */
+    static fromRecords(publications) {
+        const counts = publications
+            .filter(pub => pub.citations !== null && pub.citations !== undefined)
+            .map(pub => parseInt(pub.citations, 10) || 0)
+            .sort((a, b) => b - a);
+        const hasCounts = counts.length > 0;
+
+        return {
+            citations: hasCounts ? { all: counts.reduce((sum, count) => sum + count, 0) } : null,
+            hIndex: hasCounts ? { all: counts.filter((count, index) => count >= index + 1).length } : null,
+            i10Index: hasCounts ? { all: counts.filter(count => count >= 10).length } : null,
+            sinceYear: null,
+            citationsPerYear: [],
+            computed: true
+        };
+    }
+
+    /**
+     * Count publications per year, filling the gaps between the first and last year with zero
+     */
+    static publicationsPerYear(publications) {
+        const counts = {};
+        publications.forEach(pub => {
+            const year = parseInt(pub.year, 10);
+            if (!isNaN(year)) counts[year] = (counts[year] || 0) + 1;
+        });
+
+        const years = Object.keys(counts).map(Number);
+        if (years.length === 0) return [];
+
+        const data = [];
+        for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+            data.push({ label: String(year), value: counts[year] || 0 });
+        }
+        return data;
+    }
+
+    /**
+     * Render the dashboard: summary cards, citations per year and publications per year
+     */
+    static render(metrics, publications) {
+        const summary = metrics || CitationMetrics.fromRecords(publications);
+        const cards = [
+            { label: I18n.t('metrics.citations'), value: summary.citations },
+            { label: 'h-index', value: summary.hIndex },
+            { label: 'i10-index', value: summary.i10Index }
+        ];
+
+        const cardHtml = cards.map(card => SafeHtml.html`
+            <div class="col-4 mb-2">
+                <div class="metric-card border rounded p-2 h-100">
+                    <div class="h4 mb-0 text-primary">${card.value ? card.value.all : '-'}</div>
+                    <small class="text-muted d-block">${card.label}</small>
+                    ${summary.sinceYear && card.value && card.value.since !== undefined ?
+                        SafeHtml.html`<small class="text-muted d-block">${I18n.t('metrics.since', { year: summary.sinceYear, count: card.value.since })}</small>` : ''}
+                </div>
+            </div>
+        `);
+
+        const citationsPerYear = (summary.citationsPerYear || []).map(point => ({ label: String(point.year), value: point.count }));
+        const publicationsPerYear = CitationMetrics.publicationsPerYear(publications);
+
+        return SafeHtml.html`
+            <div class="publication-metrics mb-4">
+                <div class="row text-center">${cardHtml}</div>
+                ${citationsPerYear.length > 0 ? SafeHtml.html`
+                    <h6 class="mt-3 mb-1">${I18n.t('metrics.citationsPerYear')}</h6>
+                    ${SvgCharts.barChart(citationsPerYear, { title: I18n.t('metrics.citationsPerYear'), color: '#007bff' })}
+                ` : ''}
+                ${publicationsPerYear.length > 0 ? SafeHtml.html`
+                    <h6 class="mt-3 mb-1">${I18n.t('metrics.publicationsPerYear')}</h6>
+                    ${SvgCharts.barChart(publicationsPerYear, { title: I18n.t('metrics.publicationsPerYear'), color: '#1f2d41' })}
+                ` : ''}
+                ${summary.computed ? SafeHtml.html`<small class="text-muted">${I18n.t('metrics.computed')}</small>` : ''}
+            </div>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CitationMetrics;
+}
@@ -0,0 +1,440 @@
+/**
+ * Co-author Network
+ * Shows who the site owner works with in the #/network modal: the author lists of
+ * the publications and the team lists of the grants are parsed into people, matched
+ * by PublicationFields.nameKey (family name and first initial, so "M. I. Ramli" and
+ * "Dr. Muhammad Izzad Bin Ramli" are one person), and drawn as a force-directed
+ * graph whose links are weighted by the papers and grants two people share.
+ * Clicking a person lists the publications and grants the owner shares with them;
+ * the choice lives in the route, e.g. #/network?person=ramli+m
+ */
+
+class CoauthorNetwork {
+    /**
+     * Options: width and height of the drawing, iterations of the layout
+     */
+    constructor(options = {}) {
+        this.width = options.width || 600;
+        this.height = options.height || 420;
+        this.iterations = options.iterations || 300;
+        this.graph = null;   // See build()
+        this.positions = null;   // Person key -> { x, y }
+        this.selected = null;   // Key of the person whose shared items are listed
+        this.isLoading = false;
+    }
+
+    /**
+     * Node colour by what the person shares with the owner
+     */
+    static get COLORS() {
+        return { owner: '#1f2d41', both: '#28a745', publications: '#17a2b8', grants: '#ffc107' };
+    }
+
+    /**
+     * Drop the titles in front of a name, e.g. "Profesor Madya Ir.ts.dr Jazuri Bin Abdullah" -> "Jazuri Bin Abdullah"
+     */
+    static stripTitles(name) {
+        const words = String(name || '').trim().replace(/^tan\s+sri\s+/i, '').split(/\s+/);
+        while (words.length > 1) {
+            const parts = words[0].toLowerCase().split('.').map(part => part.replace(/[^a-z]/g, '')).filter(part => part !== '');
+            if (parts.length === 0 || !parts.every(part => GrantFields.HONORIFICS.includes(part))) break;
+            words.shift();
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Parsed names of a grant's team members
+     */
+    static grantNames(grant) {
+        return (grant.team || [])
+            .map(member => PublicationFields.parseAuthors(CoauthorNetwork.stripTitles(member))[0])
+            .filter(Boolean);
+    }
+
+    /**
+     * Matching key of the site owner
+     */
+    static ownerKey() {
+        return PublicationFields.nameKey(PublicationFields.parseAuthors(StructuredData.PERSON.name)[0]);
+    }
+
+    /**
+     * The co-authorship graph: { owner, people, links, partial }. Each person is
+     * { key, name, publications, grants } and each link { source, target, publications, grants },
+     * with the shared records in the lists. The owner is counted on every record, since they
+     * are all the owner's, even when an author list is cut short with "et al."; partial is the
+     * number of publications whose author list was cut short that way.
+     */
+    static build(publications, grants, ownerKey = CoauthorNetwork.ownerKey()) {
+        const people = new Map();
+        const links = new Map();
+
+        const add = (kind, record, names) => {
+            const present = new Map();
+            names.forEach(name => {
+                const key = PublicationFields.nameKey(name);
+                if (key && !present.has(key)) present.set(key, name);
+            });
+            if (!present.has(ownerKey)) present.set(ownerKey, null);
+
+            present.forEach((name, key) => {
+                const person = people.get(key) || { key: key, name: null, publications: [], grants: [] };
+                person[kind].push(record);
+                // Keep the fullest spelling seen, so "Muhammad Izzad Ramli" wins over "M. Ramli"
+                if (name && (!person.name || name.given.length > person.name.given.length)) {
+                    person.name = name;
+                }
+                people.set(key, person);
+            });
+
+            const keys = Array.from(present.keys()).sort();
+            keys.forEach((source, i) => keys.slice(i + 1).forEach(target => {
+                const id = `${source}|${target}`;
+                const link = links.get(id) || { source: source, target: target, publications: [], grants: [] };
+                link[kind].push(record);
+                links.set(id, link);
+            }));
+        };
+
+        let partial = 0;
+        publications.forEach(pub => {
+            const names = PublicationFields.parseAuthors(pub.authors);
+            if (names.etAl) partial++;
+            add('publications', pub, names);
+        });
+        grants.forEach(grant => add('grants', grant, CoauthorNetwork.grantNames(grant)));
+
+        return { owner: ownerKey, people: Array.from(people.values()), links: Array.from(links.values()), partial: partial };
+    }
+
+    /**
+     * Records shared by two people, e.g. by a person and the owner
+     */
+    static weight(entry) {
+        return entry.publications.length + entry.grants.length;
+    }
+
+    /**
+     * Display name of a person: "Muhammad Izzad Bin Ramli", or the key when no spelling was seen
+     */
+    static displayName(person) {
+        return person.name ? `${person.name.given} ${person.name.family}`.trim() : person.key;
+    }
+
+    /**
+     * Force-directed layout (Fruchterman-Reingold): every pair of people repels, links pull
+     * harder the more records they carry, and the owner stays in the centre. The start is a
+     * circle rather than random, so the same data always gives the same picture.
+     */
+    static layout(graph, width = 600, height = 420, iterations = 300) {
+        const margin = 40;
+        const center = { x: width / 2, y: height / 2 };
+        const people = graph.people;
+        const k = Math.sqrt((width - margin * 2) * (height - margin * 2) / Math.max(people.length, 1)) * 0.8;
+        const positions = new Map();
+
+        people.forEach((person, index) => {
+            const angle = (2 * Math.PI * index) / people.length;
+            positions.set(person.key, person.key === graph.owner
+                ? { x: center.x, y: center.y }
+                : { x: center.x + Math.cos(angle) * width / 3, y: center.y + Math.sin(angle) * height / 3 });
+        });
+
+        let temperature = width / 10;
+        for (let step = 0; step < iterations; step++) {
+            const moves = new Map(people.map(person => [person.key, { x: 0, y: 0 }]));
+
+            people.forEach((a, i) => people.slice(i + 1).forEach(b => {
+                const pa = positions.get(a.key);
+                const pb = positions.get(b.key);
+                const dx = pa.x - pb.x;
+                const dy = pa.y - pb.y;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const force = (k * k) / distance;
+                moves.get(a.key).x += (dx / distance) * force;
+                moves.get(a.key).y += (dy / distance) * force;
+                moves.get(b.key).x -= (dx / distance) * force;
+                moves.get(b.key).y -= (dy / distance) * force;
+            }));
+
+            graph.links.forEach(link => {
+                const ps = positions.get(link.source);
+                const pt = positions.get(link.target);
+                const dx = ps.x - pt.x;
+                const dy = ps.y - pt.y;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const force = ((distance * distance) / k) * Math.log2(1 + CoauthorNetwork.weight(link));
+                moves.get(link.source).x -= (dx / distance) * force;
+                moves.get(link.source).y -= (dy / distance) * force;
+                moves.get(link.target).x += (dx / distance) * force;
+                moves.get(link.target).y += (dy / distance) * force;
+            });
+
+            people.forEach(person => {
+                if (person.key === graph.owner) return;
+
+                const position = positions.get(person.key);
+                const move = moves.get(person.key);
+                const length = Math.max(Math.sqrt(move.x * move.x + move.y * move.y), 0.01);
+                const distance = Math.min(length, temperature);
+                position.x = Math.min(width - margin, Math.max(margin, position.x + (move.x / length) * distance));
+                position.y = Math.min(height - margin, Math.max(margin, position.y + (move.y / length) * distance));
+            });
+
+            temperature = Math.max(temperature * 0.98, 0.5);
+        }
+        return positions;
+    }
+
+    /**
+     * The modal's content area
+     */
+    container() {
+        return document.querySelector('#networkModal [data-network]');
+    }
+
+    /**
+     * Load the latest records, lay the graph out and show it
+     */
+    async open() {
+        if (this.isLoading) return;
+
+        const container = this.container();
+        if (!container) return;
+
+        this.isLoading = true;
+        container.innerHTML = SafeHtml.html`
+            <div class="text-center">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="sr-only">${I18n.t('common.loading')}</span>
+                </div>
+                <p class="mt-2">${I18n.t('network.loading')}</p>
+            </div>
+        `;
+
+        try {
+            const [publications, grants] = await Promise.all([ProfileRecords.load('publications'), ProfileRecords.load('grants')]);
+            this.graph = CoauthorNetwork.build(publications, grants);
+            this.positions = CoauthorNetwork.layout(this.graph, this.width, this.height, this.iterations);
+        } catch (error) {
+            console.error('Error building co-author network:', error);
+            this.graph = null;
+        } finally {
+            this.isLoading = false;
+        }
+        this.display();
+    }
+
+    /**
+     * Render the graph, its legend and the shared records of the selected person
+     */
+    display() {
+        const container = this.container();
+        if (!container) return;
+
+        if (!this.graph || this.graph.people.length < 2) {
+            container.innerHTML = SafeHtml.html`<p class="text-muted">${I18n.t('network.empty')}</p>`;
+            return;
+        }
+
+        const colors = CoauthorNetwork.COLORS;
+        const nodes = this.graph.people.map(person => {
+            const position = this.positions.get(person.key);
+            const kind = person.key === this.graph.owner ? 'owner'
+                : (person.publications.length > 0 && person.grants.length > 0 ? 'both'
+                    : (person.publications.length > 0 ? 'publications' : 'grants'));
+            const weight = CoauthorNetwork.weight(person);
+            return {
+                id: person.key,
+                label: person.name ? PublicationFields.formatName(person.name, 'initials-first') : person.key,
+                x: position.x,
+                y: position.y,
+                radius: 4 + 2 * Math.sqrt(weight),
+                color: colors[kind],
+                title: I18n.t('network.personTitle', { name: CoauthorNetwork.displayName(person), publications: person.publications.length, grants: person.grants.length }),
+                minor: kind !== 'owner' && weight < 2
+            };
+        });
+        const links = this.graph.links.map(link => ({
+            source: link.source,
+            target: link.target,
+            width: Math.min(1 + CoauthorNetwork.weight(link), 8),
+            title: I18n.t('network.linkTitle', { publications: link.publications.length, grants: link.grants.length })
+        }));
+
+        const legend = ['owner', 'both', 'publications', 'grants'].map(kind => SafeHtml.html`
+            <span class="mr-3 text-nowrap"><i class="fas fa-circle" style="color: ${colors[kind]}"></i> ${I18n.t(`network.legend.${kind}`)}</span>
+        `);
+
+        container.innerHTML = SafeHtml.html`
+            <p class="small text-muted">${I18n.t('network.intro', { people: this.graph.people.length - 1 })}</p>
+            ${SvgCharts.networkChart(nodes, links, { title: I18n.t('network.chartTitle'), width: this.width, height: this.height })}
+            <div class="small mb-2">${legend}</div>
+            ${this.graph.partial > 0 ? SafeHtml.html`<small class="text-muted d-block mb-2">${I18n.t('network.partial', { count: this.graph.partial })}</small>` : ''}
+            <div class="text-left" data-network-shared aria-live="polite"></div>
+        `;
+
+        container.querySelectorAll('.network-node').forEach(node => {
+            const key = node.getAttribute('data-node-id');
+            node.addEventListener('click', () => this.select(key));
+            node.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.select(key);
+                }
+            });
+        });
+
+        this.highlight();
+        this.renderShared();
+    }
+
+    /**
+     * Render again, e.g. in a newly chosen language
+     */
+    redraw() {
+        if (this.graph && !this.isLoading) {
+            this.display();
+        }
+    }
+
+    /**
+     * Select a person (clicking them again clears the selection) and list what they share with the owner
+     */
+    select(key) {
+        this.selected = key && key !== this.selected ? key : null;
+        this.updateUrl();
+        this.highlight();
+        this.renderShared();
+    }
+
+    /**
+     * Select the person in a #/network?person=... route
+     */
+    applyPerson(key) {
+        if ((key || null) === this.selected) return;
+
+        this.selected = key || null;
+        this.highlight();
+        this.renderShared();
+    }
+
+    /**
+     * Mirror the selection into the #/network route so it can be shared
+     */
+    updateUrl() {
+        const current = ModalRouter.parse(window.location.hash);
+        if (!current || current.route !== 'network') return;
+
+        const url = new URL(window.location.href);
+        url.hash = ModalRouter.format('network', this.selected ? { person: this.selected } : null);
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
+    /**
+     * Mark the selected person, their links and the people they are linked to; dim the rest
+     */
+    highlight() {
+        const container = this.container();
+        const chart = container && container.querySelector('.network-chart');
+        if (!chart) return;
+
+        const selected = this.selected;
+        const neighbours = new Set();
+        chart.querySelectorAll('.network-link').forEach(line => {
+            const active = selected !== null &&
+                (line.getAttribute('data-source') === selected || line.getAttribute('data-target') === selected);
+            line.classList.toggle('active', active);
+            if (active) {
+                neighbours.add(line.getAttribute('data-source'));
+                neighbours.add(line.getAttribute('data-target'));
+            }
+        });
+        chart.querySelectorAll('.network-node').forEach(node => {
+            const key = node.getAttribute('data-node-id');
+            node.classList.toggle('active', key === selected);
+            node.classList.toggle('neighbour', neighbours.has(key));
+            node.setAttribute('aria-pressed', key === selected ? 'true' : 'false');
+        });
+        chart.classList.toggle('has-selection', selected !== null);
+    }
+
+    /**
+     * The publications and grants the selected person shares with the owner, or a hint
+     */
+    renderShared() {
+        const container = this.container();
+        const shared = container && container.querySelector('[data-network-shared]');
+        if (!shared) return;
+
+        const person = this.selected && this.graph.people.find(candidate => candidate.key === this.selected);
+        if (!person) {
+            shared.innerHTML = SafeHtml.html`<p class="small text-muted">${I18n.t('network.hint')}</p>`;
+            return;
+        }
+
+        const publications = person.publications.map((pub, index) => SafeHtml.html`
+            <li class="mb-1">${CitationFormatter.toHtml(CitationFormatter.format(pub, 'apa', index + 1))}</li>
+        `);
+        const grants = person.grants.map(grant => SafeHtml.html`
+            <li class="mb-1"><strong>${grant.title}</strong>${[grant.scheme, grant.startYear && grant.endYear ? `${grant.startYear} - ${grant.endYear}` : ''].filter(Boolean).map(fact => SafeHtml.html` &middot; ${fact}`)}</li>
+        `);
+
+        shared.innerHTML = SafeHtml.html`
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <b>${person.key === this.graph.owner ? I18n.t('network.sharedOwner') : I18n.t('network.shared', { name: CoauthorNetwork.displayName(person) })}</b>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-network-clear>${I18n.t('network.clear')}</button>
+            </div>
+            ${publications.length > 0 ? SafeHtml.html`
+                <h6>${I18n.t('network.publications', { count: publications.length })}</h6>
+                <ul class="pl-3">${publications}</ul>
+            ` : ''}
+            ${grants.length > 0 ? SafeHtml.html`
+                <h6>${I18n.t('network.grants', { count: grants.length })}</h6>
+                <ul class="pl-3">${grants}</ul>
+            ` : ''}
+        `;
+        shared.querySelector('[data-network-clear]').addEventListener('click', () => this.select(null));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoauthorNetwork;
+}
+
+// Initialize when DOM is loaded (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const modal = document.getElementById('networkModal');
+        if (!modal) return;
+
+        const coauthorNetwork = new CoauthorNetwork();
+
+        // Build the graph from the latest records every time, since the publications and
+        // grants modals may have fetched live data since
+        $(modal).on('show.bs.modal', function() {
+            coauthorNetwork.open();
+        });
+
+        // Show the current selection in the #/network route once it is open
+        $(modal).on('shown.bs.modal', function() {
+            coauthorNetwork.updateUrl();
+        });
+
+        // A #/network?person=... route, opened or edited, selects that person
+        modal.addEventListener('route', function(event) {
+            coauthorNetwork.applyPerson(event.detail.params.get('person'));
+        });
+
+        // Render the graph again in the language chosen from the navbar
+        document.addEventListener('i18n:change', function() {
+            coauthorNetwork.redraw();
+        });
+
+        // Make it globally available, e.g. to inspect the graph from the console
+        window.coauthorNetwork = coauthorNetwork;
+    });
+}
@@ -0,0 +1,287 @@
+/**
+ * Contact Form
+ * Validates and sends the contact section form as JSON to the endpoint in
+ * <meta name="contact-endpoint"> (Formspree-compatible or self-hosted), with a
+ * honeypot field and a minimum fill-in time against spam bots. Without an
+ * endpoint, or when sending fails, the message is offered as a mailto: link.
+ */
+
+class ContactForm {
+    /**
+     * Options: endpoint (POST URL, '' for mailto only), mailto (address for the fallback),
+     * minSeconds (fastest plausible fill-in), timeout (ms) and fetch (for a mock backend)
+     */
+    constructor(form, options = {}) {
+        this.form = form;
+        this.endpoint = options.endpoint !== undefined ? options.endpoint : ContactForm.defaultEndpoint();
+        this.mailto = options.mailto || form.dataset.mailto || '';
+        this.minSeconds = options.minSeconds !== undefined ? options.minSeconds : 3;
+        this.timeout = options.timeout || 15000;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.startedAt = Date.now();
+        this.isSending = false;
+    }
+
+    /**
+     * Endpoint from <meta name="contact-endpoint">, e.g. https://formspree.io/f/{id}
+     */
+    static defaultEndpoint() {
+        const meta = typeof document !== 'undefined' && document.querySelector('meta[name="contact-endpoint"]');
+        return meta ? meta.content.trim() : '';
+    }
+
+    /**
+     * Rules for each field the visitor fills in; its label is the I18n message contact.fields.<field>
+     */
+    static get FIELDS() {
+        return {
+            name: { required: true, max: 100 },
+            email: { required: true, max: 254, email: true },
+            subject: { required: false, max: 150 },
+            message: { required: true, min: 10, max: 5000 }
+        };
+    }
+
+    /**
+     * Name of the hidden field only bots fill in (Formspree also drops submissions that set it)
+     */
+    static get HONEYPOT() {
+        return '_gotcha';
+    }
+
+    /**
+     * Check the values against FIELDS and return { field: message } for every problem
+     */
+    static validate(values) {
+        const errors = {};
+
+        Object.entries(ContactForm.FIELDS).forEach(([field, rule]) => {
+            const value = String(values[field] || '').trim();
+            const label = I18n.t(`contact.fields.${field}`);
+
+            if (!value) {
+                if (rule.required) errors[field] = I18n.t('contact.required', { field: label.toLowerCase() });
+            } else if (rule.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                errors[field] = I18n.t('contact.invalidEmail');
+            } else if (rule.min && value.length < rule.min) {
+                errors[field] = I18n.t('contact.tooShort', { field: label, min: rule.min });
+            } else if (rule.max && value.length > rule.max) {
+                errors[field] = I18n.t('contact.tooLong', { field: label, max: rule.max });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * mailto: link carrying the message, for when there is no endpoint or it failed
+     */
+    static mailtoUrl(address, values) {
+        const subject = values.subject || `Message from ${values.name}`;
+        const body = `${values.message}\n\n${values.name} <${values.email}>`;
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    /**
+     * Trimmed values of the visible fields and the honeypot
+     */
+    readValues() {
+        const values = {};
+        Object.keys(ContactForm.FIELDS).concat(ContactForm.HONEYPOT).forEach(field => {
+            const control = this.form.elements[field];
+            values[field] = control ? control.value.trim() : '';
+        });
+        return values;
+    }
+
+    /**
+     * Wire up submission and clear a field's error as soon as it is edited
+     */
+    bind() {
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        Object.keys(ContactForm.FIELDS).forEach(field => {
+            const control = this.form.elements[field];
+            if (control) {
+                control.addEventListener('input', () => this.showFieldError(field, null));
+            }
+        });
+    }
+
+    /**
+     * Validate, screen out bots and send the message, showing the outcome below the form
+     */
+    async submit() {
+        if (this.isSending) return;
+
+        const values = this.readValues();
+
+        // Bots get the success message so they have nothing to adjust to
+        if (values[ContactForm.HONEYPOT]) {
+            this.showSuccess();
+            return;
+        }
+
+        const errors = ContactForm.validate(values);
+        Object.keys(ContactForm.FIELDS).forEach(field => this.showFieldError(field, errors[field] || null));
+        if (Object.keys(errors).length > 0) {
+            this.showStatus('danger', I18n.t('contact.correctFields'));
+            const first = this.form.elements[Object.keys(errors)[0]];
+            if (first) first.focus();
+            return;
+        }
+
+        if ((Date.now() - this.startedAt) / 1000 < this.minSeconds) {
+            this.showStatus('warning', I18n.t('contact.tooQuick'));
+            this.startedAt = Date.now();
+            return;
+        }
+
+        if (!this.endpoint) {
+            this.openMailto(values);
+            return;
+        }
+
+        this.setSending(true);
+        try {
+            await this.send(values);
+            this.showSuccess();
+        } catch (error) {
+            console.error('Error sending contact form:', error);
+            this.showStatus('danger', I18n.t('contact.failed', { reason: error.message }), this.mailto ? values : null);
+        } finally {
+            this.setSending(false);
+        }
+    }
+
+    /**
+     * POST the message as JSON, aborted when it takes longer than the timeout.
+     * Error responses in Formspree's { errors: [{ message }] } shape are reported as such.
+     */
+    async send(values) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const payload = {};
+        Object.keys(ContactForm.FIELDS).forEach(field => {
+            payload[field] = values[field];
+        });
+        payload._replyto = values.email;
+
+        try {
+            const response = await this.fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                let message = `HTTP error! status: ${response.status}`;
+                try {
+                    const body = await response.json();
+                    if (body && Array.isArray(body.errors) && body.errors.length > 0) {
+                        message = body.errors.map(error => error.message).join(', ');
+                    } else if (body && body.error) {
+                        message = body.error;
+                    }
+                } catch (error) {
+                    // Not JSON: keep the status message
+                }
+                throw new Error(message);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`timed out after ${this.timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Hand the message to the visitor's mail app
+     */
+    openMailto(values) {
+        if (!this.mailto) {
+            this.showStatus('danger', I18n.t('contact.notSetUp'));
+            return;
+        }
+        this.showStatus('info', I18n.t('contact.mailApp'), values);
+        window.location.href = ContactForm.mailtoUrl(this.mailto, values);
+    }
+
+    /**
+     * Mark a field as invalid with a message, or clear it with null
+     */
+    showFieldError(field, message) {
+        const control = this.form.elements[field];
+        if (!control) return;
+
+        const feedback = this.form.querySelector(`[data-feedback-for="${field}"]`);
+        control.classList.toggle('is-invalid', Boolean(message));
+        control.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (feedback) {
+            feedback.textContent = message || '';
+        }
+    }
+
+    /**
+     * Thank the visitor and reset the form for another message
+     */
+    showSuccess() {
+        this.showStatus('success', I18n.t('contact.sent'));
+        this.form.reset();
+        this.form.querySelectorAll('.floating-label-form-group-with-value').forEach(group => {
+            group.classList.remove('floating-label-form-group-with-value');
+        });
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Show an alert below the form; with values, it also offers the message as an email
+     */
+    showStatus(kind, message, values = null) {
+        const status = this.form.querySelector('[data-contact-status]');
+        if (!status) return;
+
+        const fallback = values && this.mailto
+            ? SafeHtml.html` <a href="${ContactForm.mailtoUrl(this.mailto, values)}" class="alert-link">${I18n.t('contact.byEmail')}</a>`
+            : '';
+        status.innerHTML = SafeHtml.html`<div class="alert alert-${kind} mb-0" role="${kind === 'danger' ? 'alert' : 'status'}">${message}${fallback}</div>`;
+    }
+
+    /**
+     * Disable the send button while a request is running
+     */
+    setSending(isSending) {
+        this.isSending = isSending;
+        const button = this.form.querySelector('[type="submit"]');
+        if (!button) return;
+
+        button.disabled = isSending;
+        button.innerHTML = isSending
+            ? SafeHtml.html`<span class="spinner-border spinner-border-sm mr-1" role="status" aria-hidden="true"></span>${I18n.t('contact.sending')}`
+            : SafeHtml.html`${I18n.t('contact.send')}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactForm;
+}
+
+// Initialize when DOM is loaded (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const form = document.getElementById('contactForm');
+        if (!form) return;
+
+        const contactForm = new ContactForm(form);
+        contactForm.bind();
+
+        // Make it globally available, e.g. to point it at a local mock endpoint
+        window.contactForm = contactForm;
+    });
+}
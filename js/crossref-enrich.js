@@ -0,0 +1,148 @@
+/**
+ * Crossref Enricher
+ * Looks up each publication on Crossref, by DOI when one is known or by title and
+ * first author otherwise, and fills in the DOI, publisher URL, volume, issue, pages and ISSN
+ */
+
+class CrossrefEnricher {
+    /**
+     * Options: apiUrl (point it at a local mock), mailto (Crossref's polite pool),
+     * maxLookups (uncached lookups per run), proxyFetcher and cache
+     */
+    constructor(options = {}) {
+        this.apiUrl = (options.apiUrl || 'https://api.crossref.org').replace(/\/$/, '');
+        this.mailto = options.mailto || '';
+        this.maxLookups = options.maxLookups || 40;
+        this.proxyFetcher = options.proxyFetcher || new ProxyFetcher({ proxies: [{ name: 'direct', url: null }], retries: 1 });
+        this.cache = options.cache || new DataCache('crossref', { ttl: options.cacheTtl || 30 * 24 * 60 * 60 * 1000 });
+    }
+
+    /**
+     * Cache key for a publication: its normalised title and year, which stay the same
+     * whether or not the DOI is known yet
+     */
+    lookupKey(pub) {
+        return `${PublicationMerger.normalizeTitle(pub.title)}:${pub.year}`;
+    }
+
+    /**
+     * Enrich a list of publications. Returns { publications, updated } where updated
+     * counts the records that gained metadata; the input list is left untouched.
+     */
+    async enrich(publications) {
+        const entry = this.cache.read();
+        const lookups = new Map((entry ? entry.records : [])
+            .filter(record => Date.now() - new Date(record.savedAt).getTime() <= this.cache.ttl)
+            .map(record => [record.key, record]));
+
+        let remaining = this.maxLookups;
+        let updated = 0;
+        const enriched = [];
+
+        for (const pub of publications) {
+            const key = this.lookupKey(pub);
+
+            if (!lookups.has(key) && remaining > 0 && !PublicationMerger.isMissing(pub.title)) {
+                remaining--;
+                try {
+                    // Misses are cached too (metadata: null) so they are not looked up again
+                    lookups.set(key, { key, savedAt: new Date().toISOString(), metadata: await this.lookup(pub) });
+                } catch (error) {
+                    console.error(`Error looking up "${pub.title}" on Crossref:`, error);
+                }
+            }
+
+            const lookup = lookups.get(key);
+            const result = lookup && lookup.metadata ? this.apply(pub, lookup.metadata) : pub;
+            if (JSON.stringify(result) !== JSON.stringify(pub)) {
+                updated++;
+            }
+            enriched.push(result);
+        }
+
+        this.cache.write({ source: 'crossref', records: Array.from(lookups.values()) });
+        return { publications: enriched, updated: updated };
+    }
+
+    /**
+     * Find a publication's Crossref metadata, or null when there is no confident match
+     */
+    async lookup(pub) {
+        if (pub.doi) {
+            const response = await this.fetchJson(`/works/${encodeURIComponent(pub.doi)}`);
+            return this.mapWork(response.message);
+        }
+
+        const params = new URLSearchParams({ 'query.bibliographic': pub.title, rows: '3' });
+        if (!PublicationMerger.isMissing(pub.authors)) {
+            params.set('query.author', pub.authors);
+        }
+
+        const response = await this.fetchJson(`/works?${params.toString()}`);
+        const match = (response.message.items || []).find(item => this.isMatch(pub, item));
+        return match ? this.mapWork(match) : null;
+    }
+
+    /**
+     * GET a JSON document from the API, identifying the site when a contact address is set
+     */
+    async fetchJson(path) {
+        const url = new URL(this.apiUrl + path);
+        if (this.mailto) {
+            url.searchParams.set('mailto', this.mailto);
+        }
+        return JSON.parse(await this.proxyFetcher.fetchText(url.toString()));
+    }
+
+    /**
+     * Whether a search result is the publication: matching title, year and first author
+     */
+    isMatch(pub, item) {
+        const title = (item.title || [])[0];
+        const issued = item.issued && item.issued['date-parts'] && item.issued['date-parts'][0];
+        const firstAuthor = (item.author || [])[0];
+
+        return PublicationMerger.titlesMatch(pub.title, title) &&
+            PublicationMerger.yearsMatch(pub.year, issued ? issued[0] : null) &&
+            (!firstAuthor || !firstAuthor.family || PublicationMerger.firstAuthorsMatch(pub.authors, `${firstAuthor.given || ''} ${firstAuthor.family}`));
+    }
+
+    /**
+     * Keep the fields the site uses from a Crossref work
+     */
+    mapWork(work) {
+        if (!work || !work.DOI) return null;
+
+        const primary = work.resource && work.resource.primary;
+        return {
+            doi: work.DOI,
+            url: (primary && primary.URL) || work.URL || '',
+            volume: work.volume || '',
+            issue: work.issue || '',
+            pages: work.page || '',
+            issn: (work.ISSN || [])[0] || ''
+        };
+    }
+
+    /**
+     * Fill in metadata without overwriting what the publication already has.
+     * Links that only point back to Scholar (or nowhere) are replaced by the DOI link.
+     */
+    apply(pub, metadata) {
+        const enriched = { ...pub };
+        ['doi', 'url', 'volume', 'issue', 'pages', 'issn'].forEach(field => {
+            if (!enriched[field] && metadata[field]) {
+                enriched[field] = metadata[field];
+            }
+        });
+
+        if (!pub.link || pub.link === '#' || /^https?:\/\/scholar\.google\./.test(pub.link)) {
+            enriched.link = `https://doi.org/${enriched.doi}`;
+        }
+        return enriched;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrossrefEnricher;
+}
@@ -0,0 +1,500 @@
+/**
+ * CV Builder
+ * Puts the profile into a printable academic CV in the #/cv modal: research areas
+ * from the footer, education, experience, projects and awards from data/portfolio.json,
+ * and the research grants and publications from ProfileRecords. The visitor picks
+ * the sections, a year range and a citation style; css/print-cv.css lays the
+ * document out for "Save as PDF".
+ * The choices live in the route, e.g. #/cv?sections=grants,publications&from=2018
+ */
+
+class CvBuilder {
+    /**
+     * Options: portfolioUrl (content file with the list sections) and now (for the year of "Present")
+     */
+    constructor(options = {}) {
+        this.portfolioUrl = options.portfolioUrl || 'data/portfolio.json';
+        this.now = options.now || new Date();
+        this.options = CvBuilder.defaults();
+        this.data = null;   // { researchAreas, portfolio (route -> section), publications, grants }
+        this.isLoading = false;
+    }
+
+    /**
+     * CV sections in print order. Besides research (the footer), grants and publications,
+     * each is the list section of data/portfolio.json with that route.
+     */
+    static get SECTIONS() {
+        return ['research', 'education', 'experience', 'grants', 'publications', 'projects', 'awards'];
+    }
+
+    /**
+     * Every section, any year, APA references
+     */
+    static defaults() {
+        return { sections: CvBuilder.SECTIONS.slice(), from: '', to: '', style: 'apa' };
+    }
+
+    /**
+     * Options from the parameters of a #/cv route; missing or unknown values keep their defaults
+     */
+    static fromParams(params) {
+        const options = CvBuilder.defaults();
+        if (params.has('sections')) {
+            const wanted = params.get('sections').split(',').map(section => section.trim());
+            options.sections = CvBuilder.SECTIONS.filter(section => wanted.includes(section));
+        }
+        ['from', 'to'].forEach(field => {
+            const year = String(params.get(field) || '').trim();
+            if (/^\d{4}$/.test(year)) options[field] = year;
+        });
+        if (params.get('style') in CitationFormatter.STYLES) {
+            options.style = params.get('style');
+        }
+        return options;
+    }
+
+    /**
+     * Route parameters for the options, leaving out the defaults
+     */
+    static toParams(options) {
+        const defaults = CvBuilder.defaults();
+        const params = new URLSearchParams();
+        if (options.sections.join(',') !== defaults.sections.join(',')) params.set('sections', options.sections.join(','));
+        if (options.from) params.set('from', options.from);
+        if (options.to) params.set('to', options.to);
+        if (options.style !== defaults.style) params.set('style', options.style);
+        return params;
+    }
+
+    /**
+     * First and last year named in a text such as "2019 - Present", or null when it has none
+     */
+    static yearRange(text, now = new Date()) {
+        const value = String(text || '');
+        const years = (value.match(/\b(?:19|20)\d{2}\b/g) || []).map(Number);
+        if (/\b(present|current|now|kini|sekarang)\b/i.test(value)) {
+            years.push(now.getFullYear());
+        }
+        return years.length > 0 ? { start: Math.min(...years), end: Math.max(...years) } : null;
+    }
+
+    /**
+     * Text of a portfolio field value, which is a string or { text, href, color }
+     */
+    static text(value) {
+        return value !== null && typeof value === 'object' ? String(value.text || '') : String(value);
+    }
+
+    /**
+     * Years an entry of a section covers, or null when it is undated
+     */
+    static rangeOf(section, item, now = new Date()) {
+        switch (section) {
+            case 'publications':
+                return CvBuilder.yearRange(item.year, now);
+            case 'grants':
+                if (item.startYear || item.endYear) {
+                    return { start: item.startYear || item.endYear, end: item.endYear || item.startYear };
+                }
+                return CvBuilder.yearRange(item.reference, now);
+            default:
+                return CvBuilder.yearRange(item.period ? CvBuilder.text(item.period) : item.title, now);
+        }
+    }
+
+    /**
+     * Whether a year range overlaps from..to. Undated entries are always kept, since
+     * leaving them out would silently shorten the CV.
+     */
+    static inRange(range, from, to) {
+        if (!range) return true;
+        if (from && range.end < Number(from)) return false;
+        if (to && range.start > Number(to)) return false;
+        return true;
+    }
+
+    /**
+     * Research areas listed in the footer
+     */
+    static researchAreas(doc) {
+        return Array.from(doc.querySelectorAll('[data-research-areas] li'))
+            .map(item => item.textContent.trim())
+            .filter(area => area !== '');
+    }
+
+    /**
+     * Load everything the CV can show; a source that fails leaves its sections empty
+     */
+    async load() {
+        const [portfolio, publications, grants] = await Promise.all([
+            this.loadPortfolio(),
+            ProfileRecords.load('publications'),
+            ProfileRecords.load('grants')
+        ]);
+
+        this.data = {
+            researchAreas: CvBuilder.researchAreas(document),
+            portfolio: portfolio,
+            publications: publications,
+            grants: grants
+        };
+        return this.data;
+    }
+
+    /**
+     * List sections of the content file, by route
+     */
+    async loadPortfolio() {
+        try {
+            const response = await fetch(this.portfolioUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const content = await response.json();
+            if (!content || !Array.isArray(content.sections)) {
+                throw new Error('Portfolio content has no sections');
+            }
+            const sections = new Map();
+            content.sections
+                .filter(section => section.type === 'list' && section.route)
+                .forEach(section => sections.set(section.route, section));
+            return sections;
+        } catch (error) {
+            console.error('Error loading portfolio content for the CV:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * The modal's content area
+     */
+    container() {
+        return document.querySelector('#cvModal [data-cv]');
+    }
+
+    /**
+     * Load the latest data and show the options and the CV
+     */
+    async open() {
+        if (this.isLoading) return;
+
+        const container = this.container();
+        if (!container) return;
+
+        this.isLoading = true;
+        container.innerHTML = SafeHtml.html`
+            <div class="text-center">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="sr-only">${I18n.t('common.loading')}</span>
+                </div>
+                <p class="mt-2">${I18n.t('cv.loading')}</p>
+            </div>
+        `;
+
+        try {
+            await this.load();
+        } finally {
+            this.isLoading = false;
+        }
+        this.display();
+    }
+
+    /**
+     * Render the options and the CV, and bind the options
+     */
+    display() {
+        const container = this.container();
+        if (!container || !this.data) return;
+
+        container.innerHTML = SafeHtml.html`
+            ${this.renderOptions()}
+            <div data-cv-document>${this.renderDocument()}</div>
+        `;
+        this.bindOptions(container);
+    }
+
+    /**
+     * Render again, e.g. in a newly chosen language
+     */
+    redraw() {
+        if (this.data && !this.isLoading) {
+            this.display();
+        }
+    }
+
+    /**
+     * Replace the options, e.g. from a #/cv?... route, and redraw the CV if it is showing
+     */
+    applyOptions(options) {
+        if (JSON.stringify(options) === JSON.stringify(this.options)) return;
+
+        this.options = options;
+        this.redraw();
+    }
+
+    /**
+     * Mirror the options into the #/cv route so the same CV can be produced again
+     */
+    updateUrl() {
+        const current = ModalRouter.parse(window.location.hash);
+        if (!current || current.route !== 'cv') return;
+
+        const url = new URL(window.location.href);
+        url.hash = ModalRouter.format('cv', CvBuilder.toParams(this.options));
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
+    /**
+     * Section checkboxes, year range, citation style and the print button (not printed)
+     */
+    renderOptions() {
+        const sections = CvBuilder.SECTIONS.map(section => SafeHtml.html`
+            <div class="custom-control custom-checkbox custom-control-inline">
+                <input type="checkbox" class="custom-control-input" id="cvSection-${section}" data-cv-section="${section}"${this.options.sections.includes(section) ? SafeHtml.raw(' checked') : ''}>
+                <label class="custom-control-label" for="cvSection-${section}">${I18n.t(`cv.sections.${section}`)}</label>
+            </div>
+        `);
+        const styles = Object.entries(CitationFormatter.STYLES).map(([style, label]) => SafeHtml.html`
+            <option value="${style}"${this.options.style === style ? SafeHtml.raw(' selected') : ''}>${label}</option>
+        `);
+
+        return SafeHtml.html`
+            <form class="cv-options border rounded p-3 mb-4 text-left d-print-none" data-cv-options>
+                <fieldset class="mb-2">
+                    <legend class="h6">${I18n.t('cv.include')}</legend>
+                    ${sections}
+                </fieldset>
+                <div class="form-row align-items-end">
+                    <div class="col-6 col-md-3 mb-2">
+                        <label class="small mb-0" for="cvYearFrom">${I18n.t('cv.fromYear')}</label>
+                        <input type="number" class="form-control form-control-sm" id="cvYearFrom" data-cv-field="from" min="1900" max="2100" value="${this.options.from}">
+                    </div>
+                    <div class="col-6 col-md-3 mb-2">
+                        <label class="small mb-0" for="cvYearTo">${I18n.t('cv.toYear')}</label>
+                        <input type="number" class="form-control form-control-sm" id="cvYearTo" data-cv-field="to" min="1900" max="2100" value="${this.options.to}">
+                    </div>
+                    <div class="col-6 col-md-3 mb-2">
+                        <label class="small mb-0" for="cvCitationStyle">${I18n.t('publications.citationStyle')}</label>
+                        <select class="custom-select custom-select-sm" id="cvCitationStyle" data-cv-field="style">${styles}</select>
+                    </div>
+                    <div class="col-6 col-md-3 mb-2 text-right">
+                        <button type="button" class="btn btn-sm btn-primary" data-cv-print><i class="fas fa-print"></i> ${I18n.t('cv.print')}</button>
+                    </div>
+                </div>
+                <small class="text-muted d-block">${I18n.t('cv.undated')}</small>
+            </form>
+        `;
+    }
+
+    /**
+     * Update the CV as the options change, and print it
+     */
+    bindOptions(container) {
+        const update = () => {
+            this.updateUrl();
+            container.querySelector('[data-cv-document]').innerHTML = this.renderDocument();
+        };
+
+        container.querySelectorAll('[data-cv-section]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.options.sections = CvBuilder.SECTIONS.filter(section =>
+                    container.querySelector(`[data-cv-section="${section}"]`).checked);
+                update();
+            });
+        });
+
+        container.querySelectorAll('[data-cv-field]').forEach(control => {
+            control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'input', () => {
+                const value = control.value.trim();
+                const field = control.getAttribute('data-cv-field');
+                // Half-typed years are ignored until they have four digits
+                if (field !== 'style' && value !== '' && !/^\d{4}$/.test(value)) return;
+                this.options[field] = value;
+                update();
+            });
+        });
+
+        container.querySelector('[data-cv-print]').addEventListener('click', () => window.print());
+    }
+
+    /**
+     * The CV itself: the header with the owner's details, then each chosen section
+     */
+    renderDocument() {
+        const owner = StructuredData.PERSON;
+        const contact = StructuredData.contactFromDocument(document);
+        const { from, to } = this.options;
+        const period = from || to
+            ? I18n.t('cv.period', { from: from || '…', to: to || '…' })
+            : '';
+
+        const sections = this.options.sections
+            .map(section => this.renderSection(section))
+            .filter(html => html !== null);
+
+        return SafeHtml.html`
+            <article class="cv-document text-left">
+                <header class="cv-header mb-4">
+                    <h3 class="cv-name mb-1">${owner.name}</h3>
+                    <div>${owner.jobTitle}, ${owner.affiliation}</div>
+                    <div class="cv-contact small">
+                        ${contact.email ? SafeHtml.html`<span>${contact.email}</span>` : ''}
+                        ${contact.sameAs.map(href => SafeHtml.html`<span><a href="${href}">${href.replace(/^https?:\/\//, '').replace(/\/$/, '')}</a></span>`)}
+                    </div>
+                    ${period ? SafeHtml.html`<div class="small text-muted">${period}</div>` : ''}
+                </header>
+                ${sections.length > 0 ? sections : SafeHtml.html`<p class="text-muted">${I18n.t('cv.nothingSelected')}</p>`}
+                <footer class="cv-footer small text-muted mt-4">
+                    ${I18n.t('cv.generated', { date: this.now.toLocaleDateString(I18n.locale(), { year: 'numeric', month: 'long', day: 'numeric' }) })}
+                </footer>
+            </article>
+        `;
+    }
+
+    /**
+     * One section with its entries in the year range, or null when the section has no data at all
+     */
+    renderSection(section) {
+        let entries;
+        if (section === 'research') {
+            if (this.data.researchAreas.length === 0) return null;
+            entries = SafeHtml.html`<p class="cv-research mb-0">${this.data.researchAreas.join(' · ')}</p>`;
+        } else {
+            const items = this.itemsOf(section);
+            if (items === null) return null;
+            entries = items.length > 0
+                ? this.renderEntries(section, items)
+                : SafeHtml.html`<p class="small text-muted mb-0">${I18n.t('cv.noneInRange')}</p>`;
+        }
+
+        return SafeHtml.html`
+            <section class="cv-section mb-4" data-cv-section-content="${section}">
+                <h4 class="cv-section-title">${I18n.t(`cv.sections.${section}`)}</h4>
+                ${entries}
+            </section>
+        `;
+    }
+
+    /**
+     * Entries of a section in the year range, newest first, or null when there are none to filter
+     */
+    itemsOf(section) {
+        const records = section === 'grants' || section === 'publications'
+            ? this.data[section]
+            : ((this.data.portfolio.get(section) || {}).items || []);
+        if (records.length === 0) return null;
+
+        const dated = records
+            .map((item, index) => ({ item, index, range: CvBuilder.rangeOf(section, item, this.now) }))
+            .filter(entry => CvBuilder.inRange(entry.range, this.options.from, this.options.to));
+
+        // Newest first; undated entries keep their order after the dated ones
+        dated.sort((a, b) => (b.range ? b.range.end : -Infinity) - (a.range ? a.range.end : -Infinity) || a.index - b.index);
+        return dated.map(entry => entry.item);
+    }
+
+    /**
+     * Entries of a section, as references for publications and as title-and-details blocks otherwise
+     */
+    renderEntries(section, items) {
+        if (section === 'publications') {
+            return SafeHtml.html`
+                <ul class="cv-references list-unstyled mb-0">
+                    ${items.map((pub, index) => SafeHtml.html`
+                        <li class="cv-entry mb-1">${CitationFormatter.toHtml(CitationFormatter.format(pub, this.options.style, index + 1))}</li>
+                    `)}
+                </ul>
+            `;
+        }
+
+        return items.map(item => {
+            const { when, details } = section === 'grants' ? this.grantLines(item) : this.portfolioLines(section, item);
+            return SafeHtml.html`
+                <div class="cv-entry mb-2">
+                    <div class="d-flex justify-content-between">
+                        <strong>${item.code ? `${item.code} - ` : ''}${item.title}</strong>
+                        ${when ? SafeHtml.html`<span class="cv-when text-nowrap pl-3">${when}</span>` : ''}
+                    </div>
+                    ${details.length > 0 ? SafeHtml.html`<div class="small">${details.join(' · ')}</div>` : ''}
+                </div>
+            `;
+        });
+    }
+
+    /**
+     * Project period and details of a grant
+     */
+    grantLines(grant) {
+        const when = grant.startYear || grant.endYear
+            ? [grant.startYear, grant.endYear].filter(Boolean).filter((year, index, years) => years.indexOf(year) === index).join(' – ')
+            : '';
+        const details = [
+            grant.sponsor && grant.scheme && grant.sponsor !== grant.scheme ? `${grant.scheme}, ${grant.sponsor}` : (grant.scheme || grant.sponsor),
+            grant.role,
+            grant.reference,
+            grant.amount !== null && grant.amount !== undefined ? GrantSummary.formatAmount(grant.amount) : ''
+        ].filter(Boolean);
+        return { when, details };
+    }
+
+    /**
+     * Period and field values of a portfolio list item, with the field labels the modal uses
+     */
+    portfolioLines(route, item) {
+        const section = this.data.portfolio.get(route);
+        const details = (section.fields || [])
+            .filter(field => field.key !== 'period' && item[field.key] !== undefined && item[field.key] !== null && item[field.key] !== '')
+            .map(field => {
+                const value = CvBuilder.text(item[field.key]);
+                const label = field.label ? (I18n.lookup(`portfolio.${route}.${field.key}`, I18n.language()) || field.label) : '';
+                return label ? `${label}: ${value}` : value;
+            });
+        return { when: item.period ? CvBuilder.text(item.period) : '', details };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CvBuilder;
+}
+
+// Initialize when DOM is loaded (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const modal = document.getElementById('cvModal');
+        if (!modal) return;
+
+        const cvBuilder = new CvBuilder();
+
+        // Load the latest data every time, since the other modals may have fetched live data since.
+        // While the modal is open, printing (from the button or the browser) gives just the CV.
+        $(modal).on('show.bs.modal', function() {
+            document.body.classList.add('print-cv');
+            cvBuilder.open();
+        });
+        $(modal).on('hidden.bs.modal', function() {
+            document.body.classList.remove('print-cv');
+        });
+
+        // Show the current options in the #/cv route once it is open
+        $(modal).on('shown.bs.modal', function() {
+            cvBuilder.updateUrl();
+        });
+
+        // A #/cv?... route, opened or edited, carries the options to apply
+        modal.addEventListener('route', function(event) {
+            cvBuilder.applyOptions(CvBuilder.fromParams(event.detail.params));
+        });
+
+        // Render the CV again in the language chosen from the navbar
+        document.addEventListener('i18n:change', function() {
+            cvBuilder.redraw();
+        });
+
+        // Make it globally available, e.g. to print a CV from the console
+        window.cvBuilder = cvBuilder;
+    });
+}
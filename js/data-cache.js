@@ -0,0 +1,70 @@
+/**
+ * Data Cache
+ * Keeps the last successfully fetched records in localStorage with a timestamp,
+ * so they can be shown straight away and refreshed once they go stale
+ */
+
+class DataCache {
+    /**
+     * Options: ttl in milliseconds before an entry counts as expired (default one day)
+     */
+    constructor(key, options = {}) {
+        this.key = `mebikarbonat:cache:${key}`;
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Return the stored entry, or null when missing, unreadable or from an older format
+     */
+    read() {
+        try {
+            const entry = JSON.parse(localStorage.getItem(this.key));
+
+            if (!entry || entry.version !== DataSnapshot.VERSION || !Array.isArray(entry.records)) {
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            console.error('Error reading cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store records along with where they came from
+     */
+    write(entry) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify({
+                ...entry,
+                version: DataSnapshot.VERSION,
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // Storage can be full or disabled (e.g. private browsing); caching is optional
+            console.error('Error writing cache:', error);
+        }
+    }
+
+    /**
+     * Check whether an entry is older than the TTL
+     */
+    isExpired(entry) {
+        return Date.now() - new Date(entry.savedAt).getTime() > this.ttl;
+    }
+
+    /**
+     * Remove the stored entry
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.key);
+        } catch (error) {
+            console.error('Error clearing cache:', error);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataCache;
+}
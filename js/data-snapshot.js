@@ -0,0 +1,63 @@
+/**
+ * Data Snapshot Loader
+ * Reads and writes the versioned JSON snapshots in data/ that are produced by
+ * tools/build-data.js, so the site does not depend on live scraping
+ */
+
+class DataSnapshot {
+    /**
+     * Snapshot format version, bumped whenever the record shape changes.
+     * Version 2 added the Scholar metrics and the structured grant fields (scheme, period, role, team).
+     */
+    static get VERSION() {
+        return 2;
+    }
+
+    /**
+     * Build a snapshot object around a list of records
+     * extra holds optional top-level fields kept next to the records (e.g. metrics)
+     */
+    static create(key, records, meta = {}, extra = {}) {
+        return {
+            version: DataSnapshot.VERSION,
+            generatedAt: meta.generatedAt || new Date().toISOString(),
+            source: meta.source || 'live',
+            sourceUrl: meta.sourceUrl || null,
+            ...extra,
+            [key]: records
+        };
+    }
+
+    /**
+     * Check that a parsed snapshot has the expected version and records
+     */
+    static validate(snapshot, key) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('Snapshot is not an object');
+        }
+        if (snapshot.version !== DataSnapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+        }
+        if (!Array.isArray(snapshot[key])) {
+            throw new Error(`Snapshot has no "${key}" list`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Fetch a snapshot file and return it once validated
+     */
+    static async load(url, key) {
+        const response = await fetch(url, { cache: 'no-cache' });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return DataSnapshot.validate(await response.json(), key);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSnapshot;
+}
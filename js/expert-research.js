@@ -4,63 +4,175 @@
  */
 
 class ExpertResearchGrants {
-    constructor() {
+    constructor(options = {}) {
         this.expertUrl = 'https://expert.uitm.edu.my/V2/page-detail.php?id=kpS0wAftZa/wMbt+axFm2QraURSC5Nx3w40ZdmhLHQA=';
+        this.snapshotUrl = options.snapshotUrl || 'data/grants.json';
+        this.liveRefresh = options.liveRefresh || false;
+        this.proxyFetcher = options.proxyFetcher || new ProxyFetcher();
+        this.cache = options.cache || new DataCache('grants', { ttl: options.cacheTtl });
+        this.fetchReport = null;
+        this.lastParse = null;   // Selector, row counts and field hits of the last parsed page
+        this.diagnostics = null;   // Record of the last live fetch, see ScrapeDiagnostics
+        this.debug = options.debug || false;   // Show the diagnostics overlay after every load
         this.researchGrants = [];
+        this.statusOverrideSource = null;   // Snapshot grants holding the manual statusOverride values
+        this.provenance = null;   // { kind: 'live' | 'cached' | 'bundled' | 'offline', updatedAt, source }
         this.isLoading = false;
     }
 
     /**
      * Initialize the research grants fetcher
+     * Shows the cached copy (or the bundled snapshot) straight away, then scrapes
+     * live in the background when the cache has expired or a live refresh was asked for
      */
     async init() {
         try {
-            await this.fetchResearchGrants();
-            this.displayResearchGrants();
+            this.showLoadingState();
+
+            const cached = this.cache.read();
+            if (cached) {
+                this.researchGrants = cached.records;
+                this.provenance = { kind: 'cached', updatedAt: cached.savedAt, source: cached.source };
+            } else {
+                await this.loadSnapshot();
+            }
+
+            if (this.researchGrants.length > 0) {
+                this.displayResearchGrants();
+            }
+
+            if (this.liveRefresh || this.researchGrants.length === 0 || (cached && this.cache.isExpired(cached))) {
+                await this.fetchResearchGrants();
+
+                if (this.researchGrants.length === 0) {
+                    throw new Error('No research grant data available');
+                }
+                this.displayResearchGrants();
+            } else {
+                this.diagnostics = ScrapeDiagnostics.skipped(cached
+                    ? `No live fetch: the cached copy from ${cached.savedAt} has not expired`
+                    : 'No live fetch: the bundled snapshot is shown until one is asked for with ?live');
+            }
         } catch (error) {
             console.error('Error initializing research grants:', error);
             this.displayError();
         }
+
+        if (this.debug) {
+            this.showDiagnostics();
+        }
+    }
+
+    /**
+     * Load research grants from the snapshot written by tools/build-data.js
+     */
+    async loadSnapshot() {
+        try {
+            const snapshot = await DataSnapshot.load(this.snapshotUrl, 'researchGrants');
+            this.researchGrants = snapshot.researchGrants;
+            this.statusOverrideSource = snapshot.researchGrants;
+            this.provenance = { kind: 'bundled', updatedAt: snapshot.generatedAt, source: snapshot.source };
+        } catch (error) {
+            console.error('Error loading research grants snapshot:', error);
+        }
     }
 
     /**
      * Fetch research grants from UiTM Expert profile
+     * On success the result is cached; on failure the previously loaded research grants are kept.
      */
     async fetchResearchGrants() {
+        const started = Date.now();
+        const diagnostics = ScrapeDiagnostics.start();
+        const request = { source: 'uitm-expert', url: this.expertUrl, fetch: null, parse: null, html: null };
+        diagnostics.requests.push(request);
+        this.diagnostics = diagnostics;
         this.isLoading = true;
-        this.showLoadingState();
 
         try {
-            // Using a CORS proxy to fetch UiTM Expert data
-            const proxyUrl = 'https://api.allorigins.win/raw?url=';
-            const response = await fetch(proxyUrl + encodeURIComponent(this.expertUrl));
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // UiTM Expert is fetched through the CORS proxy chain
+            const html = await this.proxyFetcher.fetchText(this.expertUrl);
+            const cachedAt = this.proxyFetcher.lastReport.cachedAt;
+            const researchGrants = this.parseResearchGrants(html);
+            request.html = html;
+            request.parse = this.lastParse;
+
+            if (researchGrants.length === 0) {
+                throw new Error('No research grants parsed');
             }
 
-            const html = await response.text();
-            this.parseResearchGrants(html);
+            this.applyStatusOverrides(researchGrants, await this.loadStatusOverrideSource());
+
+            this.researchGrants = researchGrants;
+
+            // A page the service worker answered from its cache is as old as when it saved it
+            if (cachedAt) {
+                this.provenance = { kind: 'offline', updatedAt: cachedAt, source: 'uitm-expert' };
+                diagnostics.fallback = `The network is unavailable, so the service worker answered with the page saved on ${cachedAt}`;
+            } else {
+                this.provenance = { kind: 'live', updatedAt: new Date().toISOString(), source: 'uitm-expert' };
+                this.cache.write({ source: 'uitm-expert', records: researchGrants });
+            }
+            console.log(`Successfully parsed ${researchGrants.length} research grants via ${this.proxyFetcher.lastReport.proxy}`);
         } catch (error) {
             console.error('Error fetching research grants:', error);
-            // Fallback to manual research grants data
-            this.loadFallbackResearchGrants();
+            diagnostics.errors.push({ source: 'uitm-expert', message: error.message });
+            diagnostics.fallback = this.provenance
+                ? `The live fetch failed, so the ${this.provenance.kind} data stays on screen`
+                : 'The live fetch failed and there is no other data to show';
         } finally {
+            this.fetchReport = this.proxyFetcher.lastReport;
+            request.fetch = this.fetchReport;
+            diagnostics.ms = Date.now() - started;
             this.isLoading = false;
         }
     }
 
+    /**
+     * Snapshot grants to take manual status overrides from, loading the snapshot if it
+     * was not needed yet (e.g. when the list came from the cache)
+     */
+    async loadStatusOverrideSource() {
+        if (!this.statusOverrideSource) {
+            try {
+                const snapshot = await DataSnapshot.load(this.snapshotUrl, 'researchGrants');
+                this.statusOverrideSource = snapshot.researchGrants;
+            } catch (error) {
+                console.error('Error loading grant status overrides:', error);
+                return [];
+            }
+        }
+        return this.statusOverrideSource;
+    }
+
+    /**
+     * Copy statusOverride values onto freshly parsed grants, matching them by title
+     */
+    applyStatusOverrides(researchGrants, previous) {
+        const overrides = new Map(previous
+            .filter(grant => grant.statusOverride)
+            .map(grant => [String(grant.title).toLowerCase(), grant.statusOverride]));
+
+        researchGrants.forEach(grant => {
+            const override = overrides.get(String(grant.title).toLowerCase());
+            if (override) {
+                grant.statusOverride = override;
+            }
+        });
+        return researchGrants;
+    }
+
     /**
      * Parse HTML content to extract research grant information
+     * Returns the parsed records without touching the current list. What was matched
+     * (selector, row count, how many grants had each field) is kept in lastParse.
      */
     parseResearchGrants(html) {
+        const started = Date.now();
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
         
-        // Look for research grant entries in UiTM Expert HTML structure
-        const researchElements = doc.querySelectorAll('.research-item, .grant-item, tr');
-        
-        this.researchGrants = [];
+        const researchGrants = [];
         
         // Try to extract research information from various possible selectors
         const possibleSelectors = [
@@ -71,18 +183,22 @@ class ExpertResearchGrants {
             '.research-list li'
         ];
 
+        let matchedSelector = null;
+        let rawCount = 0;
         for (const selector of possibleSelectors) {
             const elements = doc.querySelectorAll(selector);
             if (elements.length > 0) {
-                elements.forEach((element, index) => {
-                    const text = element.textContent.trim();
-                    if (text && text.length > 10 && this.isResearchGrantText(text)) {
-                        this.researchGrants.push({
-                            id: this.researchGrants.length + 1,
-                            title: this.extractTitle(text),
+                matchedSelector = selector;
+                rawCount = elements.length;
+                elements.forEach((element) => {
+                    const text = element.textContent.replace(/\s+/g, ' ').trim();
+                    const fields = GrantFields.parse(text);
+                    if (GrantFields.isGrant(fields)) {
+                        researchGrants.push({
+                            id: researchGrants.length + 1,
+                            ...fields,
                             details: text,
-                            type: this.extractType(text),
-                            status: this.extractStatus(text)
+                            type: fields.scheme || 'Research Grant'
                         });
                     }
                 });
@@ -90,126 +206,25 @@ class ExpertResearchGrants {
             }
         }
 
-        // If no research grants found, use fallback data
-        if (this.researchGrants.length === 0) {
-            this.loadFallbackResearchGrants();
-        }
-    }
-
-    /**
-     * Check if text appears to be a research grant entry
-     */
-    isResearchGrantText(text) {
-        const researchKeywords = [
-            'grant', 'research', 'project', 'funding', 'FRGS', 'RACER', 'LESTARI',
-            'KPM', 'UiTM', 'fundamental', 'special', 'autonomous', 'anomaly',
-            'detection', 'streaming', 'data', 'e-commerce', 'rural', 'products',
-            'commercialization', 'autism', 'journey', 'directory', 'repository',
-            'smart', 'urban', 'farming', 'iot', 'downtime', 'analysis', 'data centre',
-            'high availability', 'software', 'application', 'services', 'fog devices',
-            'radar', 'reflectivity', 'images', 'convective', 'stratiform', 'tropical',
-            'rainfall', 'estimates'
-        ];
-        
-        return researchKeywords.some(keyword => 
-            text.toLowerCase().includes(keyword.toLowerCase())
-        );
-    }
-
-    /**
-     * Extract title from research grant text
-     */
-    extractTitle(text) {
-        // Try to extract a meaningful title from the text
-        const lines = text.split('\n').filter(line => line.trim().length > 0);
-        if (lines.length > 0) {
-            return lines[0].trim().substring(0, 100) + (lines[0].length > 100 ? '...' : '');
-        }
-        return text.substring(0, 100) + (text.length > 100 ? '...' : '');
-    }
-
-    /**
-     * Extract type from research grant text
-     */
-    extractType(text) {
-        if (text.toLowerCase().includes('frgs')) return 'FRGS';
-        if (text.toLowerCase().includes('racer')) return 'RACER';
-        if (text.toLowerCase().includes('lestari')) return 'LESTARI';
-        if (text.toLowerCase().includes('kpm')) return 'KPM';
-        if (text.toLowerCase().includes('international')) return 'International';
-        if (text.toLowerCase().includes('national')) return 'National';
-        return 'Research Grant';
-    }
-
-    /**
-     * Extract status from research grant text
-     */
-    extractStatus(text) {
-        if (text.toLowerCase().includes('completed')) return 'Completed';
-        if (text.toLowerCase().includes('active') || text.toLowerCase().includes('ongoing')) return 'Active';
-        if (text.toLowerCase().includes('2020') || text.toLowerCase().includes('2021') || 
-            text.toLowerCase().includes('2022') || text.toLowerCase().includes('2023') ||
-            text.toLowerCase().includes('2024') || text.toLowerCase().includes('2025')) {
-            return 'Active';
-        }
-        return 'Unknown';
-    }
-
-    /**
-     * Load fallback research grants data
-     */
-    loadFallbackResearchGrants() {
-        this.researchGrants = [
-            {
-                id: 1,
-                title: "Autonomous Anomaly Detection in Streaming Data",
-                details: "KPM, Autonomous Anomaly Detection in Streaming Data, (Ref: RACER/1/2019/ICT02/UITM//4), Role: Team Member.",
-                type: "RACER",
-                status: "Completed"
-            },
-            {
-                id: 2,
-                title: "Web Based E Commerce System For Rural Products Commercialization In Pulau Tuba Langkawi",
-                details: "UiTM LESTARI SDG@UiTM Grant, Web Based E Commerce System For Rural Products Commercialization In Pulau Tuba Langkawi, 600-RMC/LESTARI SDG-T 5/3 (142/2019), Role: Team Member.",
-                type: "LESTARI",
-                status: "Completed"
-            },
-            {
-                id: 3,
-                title: "AUTISM JOURNEY DIRECTORY & DATA REPOSITORY SYSTEM",
-                details: "NASOM, AUTISM JOURNEY DIRECTORY & DATA REPOSITORY SYSTEM, Role: Team Member.",
-                type: "NASOM",
-                status: "Completed"
+        const count = found => researchGrants.filter(found).length;
+        this.lastParse = {
+            selector: matchedSelector,
+            tried: possibleSelectors,
+            rawCount: rawCount,
+            parsedCount: researchGrants.length,
+            fields: {
+                title: count(grant => grant.title),
+                scheme: count(grant => grant.scheme),
+                reference: count(grant => grant.reference),
+                period: count(grant => grant.startYear && grant.endYear),
+                amount: count(grant => grant.amount !== null),
+                role: count(grant => grant.role),
+                team: count(grant => grant.team.length > 0)
             },
-            {
-                id: 4,
-                title: "Portable Iot-based Smart Urban Farming: Technology Use Case Of Uitm And Unikom Bandung",
-                details: "Title : Portable Iot-based Smart Urban Farming: Technology Use Case Of Uitm And Unikom Bandung. Dr. Muhammad Izzad Bin Ramli, Profesor Dr Nursuriati Binti Jamil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2022, Other Grants, Project Member, RM 5,000.00",
-                type: "Other Grants",
-                status: "Completed"
-            },
-            {
-                id: 5,
-                title: "Downtime Analysis For Uitm Data Centre",
-                details: "Title : Downtime Analysis For Uitm Data Centre. Profesor Dr Jasni Binti Mohamad Zain, Profesor Madya Dr Kamarularifin Bin Abd Jalil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2020 - 2023, Special Research Grant (GPK), Project Member, RM 20,000.00.",
-                type: "GPK",
-                status: "Completed"
-            },
-            {
-                id: 6,
-                title: "A New Technique To Ensure High Availability Of Software Application Services By Utilizing Fog Devices Resource Capabilities",
-                details: "Title : A New Technique To Ensure High Availability Of Software Application Services By Utilizing Fog Devices Resource Capabilities. Profesor Dr Jasni Binti Mohamad Zain, Luhur Bayuaji, Norkhushaini Bt Awang, Profesor Madya Dr Kamarularifin Bin Abd Jalil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2024, Fundamental Research Grant Scheme (FRGS), Project Member, RM 105,300.00",
-                type: "FRGS",
-                status: "Active"
-            },
-            {
-                id: 7,
-                title: "Coupled Hybrid Feature Extraction And Classification Of Radar Reflectivity Images For Convective-stratiform Tropical Rainfall Estimates",
-                details: "Title : Coupled Hybrid Feature Extraction And Classification Of Radar Reflectivity Images For Convective-stratiform Tropical Rainfall Estimates. Profesor Ts. Dr. Wardah Binti Tahir, Profesor Madya Zaidah Binti Ibrahim, Profesor Madya Ir.ts.dr Jazuri Bin Abdullah, Ir. Dr. Suzana Binti Ramli, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2024, Fundamental Research Grant Scheme (FRGS), Project Member, RM 137,500.00",
-                type: "FRGS",
-                status: "Active"
-            }
-        ];
+            fieldTotal: researchGrants.length,
+            ms: Date.now() - started
+        };
+        return researchGrants;
     }
 
     /**
@@ -229,56 +244,80 @@ class ExpertResearchGrants {
             return;
         }
 
-        // Clear existing content
-        textArea.innerHTML = '';
-
         // Add header
-        textArea.innerHTML += '<b>Research Grants & Projects</b><br><br>';
-
-        // Group grants by status
-        const activeGrants = this.researchGrants.filter(grant => grant.status === 'Active');
-        const completedGrants = this.researchGrants.filter(grant => grant.status === 'Completed');
-
-        // Display active grants first
-        if (activeGrants.length > 0) {
-            textArea.innerHTML += '<b>Active Research Grants</b><br><br>';
-            activeGrants.forEach((grant, index) => {
-                textArea.innerHTML += `
-                    <div class="research-grant-item mb-3 p-3 border-left border-primary">
-                        <strong>[${index + 1}] ${grant.title}</strong><br>
-                        <span class="text-muted">${grant.details}</span><br>
-                        <small class="badge badge-primary">${grant.type} - ${grant.status}</small><br><br>
-                    </div>
-                `;
-            });
-        }
+        const html = [SafeHtml.html`<b>${I18n.t('grants.heading')}</b><br><br>`];
 
-        // Display completed grants
-        if (completedGrants.length > 0) {
-            textArea.innerHTML += '<br><b>Completed Research Grants</b><br><br>';
-            completedGrants.forEach((grant, index) => {
-                textArea.innerHTML += `
-                    <div class="research-grant-item mb-3 p-3 border-left border-success">
-                        <strong>[${index + 1}] ${grant.title}</strong><br>
-                        <span class="text-muted">${grant.details}</span><br>
-                        <small class="badge badge-success">${grant.type} - ${grant.status}</small><br><br>
-                    </div>
-                `;
-            });
-        }
+        // Warn when the data is stale because the visitor is offline
+        html.push(OfflineSupport.renderNotice(this.provenance));
+
+        // Add funding summary and timeline
+        html.push(GrantSummary.render(this.researchGrants));
+
+        // One section per status, worked out from each grant's project period
+        GrantStatus.group(this.researchGrants).forEach(({ state, grants }) => {
+            if (grants.length === 0) return;
+
+            html.push(SafeHtml.html`
+                <div class="research-grant-section mb-4">
+                    <b>${I18n.t(`grants.heading.${state.key}`)}</b><br><br>
+                    ${grants.map((grant, index) => this.renderGrantItem(grant, index, state))}
+                </div>
+            `);
+        });
 
         // Add note about data source
-        textArea.innerHTML += `
+        html.push(SafeHtml.html`
             <div class="mt-4 p-3 bg-light rounded">
                 <small class="text-muted">
                     <i class="fas fa-info-circle"></i> 
-                    Research grant data is automatically fetched from UiTM Expert profile. 
-                    <a href="${this.expertUrl}" target="_blank" class="text-primary">View full profile</a>
+                    ${this.describeProvenance()}
+                    <a href="${SafeHtml.url(this.expertUrl)}" target="_blank" class="text-primary">${I18n.t('common.viewProfile')}</a>
+                    &middot; <a href="#/network" class="text-primary">${I18n.t('network.open')}</a>
                 </small>
             </div>
+        `);
+
+        textArea.innerHTML = SafeHtml.html`${html}`;
+
+        textArea.querySelector('[data-grant-summary-print]').addEventListener('click', () => GrantSummary.print());
+    }
+
+    /**
+     * Render one grant with its scheme, reference, period, role, amount and team
+     */
+    renderGrantItem(grant, index, state) {
+        const period = grant.startYear && grant.endYear ? `${grant.startYear} - ${grant.endYear}` : '';
+        const amount = grant.amount !== null && grant.amount !== undefined ? GrantSummary.formatAmount(grant.amount) : '';
+        const facts = [grant.sponsor, grant.reference, period, grant.role, amount].filter(fact => fact);
+
+        return SafeHtml.html`
+            <div class="research-grant-item mb-3 p-3 border-left border-${state.color}">
+                <strong>[${index + 1}] ${grant.title}</strong><br>
+                <span class="text-muted">${facts.length > 0 ? facts.map((fact, i) => (i > 0 ? SafeHtml.html` &middot; ${fact}` : fact)) : grant.details}</span><br>
+                ${grant.team && grant.team.length > 0 ? SafeHtml.html`<small class="text-secondary d-block">${I18n.t('grants.team', { members: grant.team.join(', ') })}</small>` : ''}
+                <small class="badge badge-${state.color}">${grant.scheme || grant.type} - ${I18n.t(`grants.status.${state.key}`)}</small>
+            </div>
         `;
     }
 
+    /**
+     * Describe where the displayed research grants came from and when
+     */
+    describeProvenance() {
+        if (!this.provenance) return '';
+
+        const when = new Date(this.provenance.updatedAt).toLocaleString(I18n.locale());
+        switch (this.provenance.kind) {
+            case 'live':
+                return `${I18n.t('grants.live')} `;
+            case 'cached':
+            case 'offline':
+                return `${I18n.t('grants.cached', { when: when })} `;
+            default:
+                return `${I18n.t('grants.bundled', { when: when })} `;
+        }
+    }
+
     /**
      * Show loading state
      */
@@ -289,12 +328,12 @@ class ExpertResearchGrants {
         const textArea = modalBody.querySelector('p.mb-5.text-left');
         if (!textArea) return;
 
-        textArea.innerHTML = `
+        textArea.innerHTML = SafeHtml.html`
             <div class="text-center">
                 <div class="spinner-border text-primary" role="status">
-                    <span class="sr-only">Loading...</span>
+                    <span class="sr-only">${I18n.t('common.loading')}</span>
                 </div>
-                <p class="mt-2">Loading research grants from UiTM Expert...</p>
+                <p class="mt-2">${I18n.t('grants.loading')}</p>
             </div>
         `;
     }
@@ -309,33 +348,84 @@ class ExpertResearchGrants {
         const textArea = modalBody.querySelector('p.mb-5.text-left');
         if (!textArea) return;
 
-        textArea.innerHTML = `
+        textArea.innerHTML = SafeHtml.html`
             <div class="alert alert-warning">
-                <h5>Unable to load research grants automatically</h5>
-                <p>Please visit my <a href="${this.expertUrl}" target="_blank" class="alert-link">UiTM Expert profile</a> to view my research grants.</p>
+                <h5>${I18n.t('grants.errorTitle')}</h5>
+                <p>${I18n.html('grants.errorBody', {
+                    link: SafeHtml.html`<a href="${SafeHtml.url(this.expertUrl)}" target="_blank" class="alert-link">${I18n.t('grants.errorLink')}</a>`
+                })}</p>
             </div>
         `;
     }
 
     /**
-     * Refresh research grants data
+     * Render what the modal is showing again, e.g. in a newly chosen language
+     */
+    redraw() {
+        const textArea = document.querySelector('#portfolioModal2 .modal-body .container .row .col-lg-8 p.mb-5.text-left');
+        if (!textArea) return;
+
+        if (textArea.querySelector('.grant-summary')) {
+            this.displayResearchGrants();
+        } else if (this.isLoading) {
+            this.showLoadingState();
+        } else if (textArea.querySelector('.alert')) {
+            this.displayError();
+        }
+    }
+
+    /**
+     * Show the diagnostics overlay for the last fetch; also meant to be called from the console
+     */
+    showDiagnostics() {
+        return ScrapeDiagnostics.show('grants', 'Research grants', this.diagnostics, this.provenance, async () => {
+            await this.refresh();
+            this.showDiagnostics();
+        });
+    }
+
+    /**
+     * Refresh research grants data with a live scrape
      */
     async refresh() {
-        await this.init();
+        this.showLoadingState();
+        await this.fetchResearchGrants();
+        this.displayResearchGrants();
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    const expertResearchGrants = new ExpertResearchGrants();
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpertResearchGrants;
+}
+
+// Initialize when DOM is loaded (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const expertResearchGrants = new ExpertResearchGrants({
+            liveRefresh: new URLSearchParams(window.location.search).has('live'),
+            debug: ScrapeDiagnostics.enabled()
+        });
     
-    // Initialize when the research grant modal is opened
-    $('#portfolioModal2').on('show.bs.modal', function() {
-        if (expertResearchGrants.researchGrants.length === 0) {
-            expertResearchGrants.init();
-        }
-    });
+        // Initialize when the research grant modal is opened
+        $('#portfolioModal2').on('show.bs.modal', function() {
+            if (expertResearchGrants.researchGrants.length === 0) {
+                expertResearchGrants.init();
+            }
+        });
+
+        // Render the grants again in the language chosen from the navbar, and when the
+        // connection drops or comes back so the offline notice is up to date
+        document.addEventListener('i18n:change', function() {
+            expertResearchGrants.redraw();
+        });
+        window.addEventListener('online', function() {
+            expertResearchGrants.redraw();
+        });
+        window.addEventListener('offline', function() {
+            expertResearchGrants.redraw();
+        });
     
-    // Make it globally available for manual refresh if needed
-    window.expertResearchGrants = expertResearchGrants;
-});
+        // Make it globally available for manual refresh and showDiagnostics() from the console
+        window.expertResearchGrants = expertResearchGrants;
+    });
+}
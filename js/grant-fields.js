@@ -0,0 +1,195 @@
+/**
+ * Grant Field Helpers
+ * Parses the free-text grant entries listed on UiTM Expert into structured
+ * fields: title, scheme, reference number, project period, amount, role and team
+ */
+
+class GrantFields {
+    /**
+     * Grant schemes recognised by their abbreviation
+     */
+    static get SCHEMES() {
+        return ['FRGS', 'PRGS', 'TRGS', 'LRGS', 'RACER', 'LESTARI', 'GPK', 'NASOM', 'KPM', 'MyRA', 'DUCS', 'IIRG'];
+    }
+
+    /**
+     * Honorifics and titles that come before team members' names ("Profesor Madya Dr", "Ir.ts.dr",
+     * "Ts."), in lower case without dots
+     */
+    static get HONORIFICS() {
+        return ['profesor', 'professor', 'prof', 'madya', 'associate', 'assoc', 'dr', 'ts', 'ir', 'sr',
+            'datuk', 'dato', 'datin', 'haji', 'hj', 'hajah', 'hjh', 'mr', 'mrs', 'ms', 'puan', 'pn', 'encik'];
+    }
+
+    /**
+     * Parse one grant entry. Handles both layouts UiTM Expert uses:
+     * "KPM, Title, (Ref: RACER/1/2019/ICT02/UITM//4), Role: Team Member." and
+     * "Title : Title. Team, 2021 - 2024, Fundamental Research Grant Scheme (FRGS), Project Member, RM 105,300.00"
+     */
+    static parse(text) {
+        const clean = String(text || '').replace(/\s+/g, ' ').trim().replace(/\.$/, '');
+        const fields = {
+            title: '',
+            scheme: '',
+            sponsor: '',
+            reference: '',
+            startYear: null,
+            endYear: null,
+            amount: null,
+            role: '',
+            team: []
+        };
+
+        const titled = /^Title\s*:\s*(.+)$/i.exec(clean);
+        if (titled) {
+            GrantFields.parseTitled(titled[1], fields);
+        } else {
+            GrantFields.parseInline(clean, fields);
+        }
+
+        fields.scheme = GrantFields.findScheme(`${fields.reference} ${fields.sponsor}`) || fields.sponsor;
+        return fields;
+    }
+
+    /**
+     * "Title. Team, 2021 - 2024, Scheme, Role, RM amount": the tail from the project period on
+     * (or from the role or amount when there is no period) is split into tokens. The title ends
+     * at the last ". " before the tail that does not follow an honorific or an initial, so
+     * dotted titles such as "Dr. Smith et al. study" stay whole.
+     */
+    static parseTitled(text, fields) {
+        const tail = /,?\s*\b(?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}\b/.exec(text) ||
+            /,\s*(?:(?:project|team)\s+(?:member|leader)\b|RM\s*\d)/i.exec(text);
+        const head = tail ? text.slice(0, tail.index) : text;
+
+        let titleEnd = -1;
+        const stops = /\.\s+/g;
+        let stop;
+        while ((stop = stops.exec(head)) !== null) {
+            const word = /\S*$/.exec(head.slice(0, stop.index))[0].toLowerCase();
+            const parts = word.split('.').filter(part => part.length > 0);
+            const inName = parts.length > 0 && parts.every(part => /^[a-z]$/.test(part) || GrantFields.HONORIFICS.includes(part));
+            if (!inName) {
+                titleEnd = stop.index;
+            }
+        }
+
+        if (titleEnd === -1) {
+            fields.title = head.replace(/\.$/, '').trim();
+        } else {
+            fields.title = head.slice(0, titleEnd).trim();
+            fields.team = head.slice(titleEnd).replace(/^\.\s*/, '').split(',')
+                .map(member => member.trim())
+                .filter(member => member.length > 0);
+        }
+
+        if (tail) {
+            GrantFields.parseTokens(text.slice(tail.index).replace(/^,\s*/, ''), fields);
+        }
+    }
+
+    /**
+     * "Team, 2021 - 2024, Scheme, Role, RM amount": names come before the period,
+     * the sponsor, role and amount after it
+     */
+    static parseTokens(text, fields) {
+        const tokens = text.split(',').map(token => token.trim()).filter(token => token.length > 0);
+        const periodIndex = tokens.findIndex(token => GrantFields.parsePeriod(token));
+
+        // The amount's thousands separators split it across tokens, so it is read from the text
+        GrantFields.readAmount(text, fields);
+
+        tokens.forEach((token, index) => {
+            if (periodIndex !== -1 && index < periodIndex) {
+                fields.team.push(token);
+            } else if (index === periodIndex) {
+                Object.assign(fields, GrantFields.parsePeriod(token));
+            } else if (GrantFields.isRole(token)) {
+                fields.role = token;
+            } else if (!/^(RM\s*)?[\d.]+$/i.test(token) && !fields.sponsor) {
+                fields.sponsor = token;
+            }
+        });
+    }
+
+    /**
+     * "Sponsor, Title, reference, Role: role": the labelled parts are taken out first,
+     * the first remaining part is the sponsor and the rest the title
+     */
+    static parseInline(text, fields) {
+        let rest = text;
+        const take = (pattern, apply) => {
+            const match = pattern.exec(rest);
+            if (match) {
+                apply(match);
+                rest = rest.replace(match[0], '');
+            }
+        };
+
+        take(/,?\s*Role\s*:\s*([^,]+)/i, match => { fields.role = match[1].trim(); });
+        take(/,?\s*\(Ref\s*:\s*([^)]+)\)/i, match => { fields.reference = match[1].trim(); });
+        take(/,?\s*(\d{2,4}-[A-Z]{2,}\/[^,]*?\(\d+\/\d{4}\))/, match => { fields.reference = match[1].trim(); });
+        take(/,?\s*RM\s*[\d,]+(\.\d+)?/i, match => { GrantFields.readAmount(match[0], fields); });
+        take(/,?\s*\b(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}\b/, match => {
+            Object.assign(fields, GrantFields.parsePeriod(match[0].replace(/^,/, '')));
+        });
+
+        const parts = rest.split(',').map(part => part.trim()).filter(part => part.length > 0);
+        if (parts.length > 1) {
+            fields.sponsor = parts[0];
+            fields.title = parts.slice(1).join(', ');
+        } else {
+            fields.title = parts.join('');
+        }
+    }
+
+    /**
+     * "2021 - 2024" -> { startYear: 2021, endYear: 2024 }, or null
+     */
+    static parsePeriod(text) {
+        const match = /^\s*((?:19|20)\d{2})\s*[-–]\s*((?:19|20)\d{2})\s*$/.exec(text);
+        return match ? { startYear: Number(match[1]), endYear: Number(match[2]) } : null;
+    }
+
+    /**
+     * Read "RM 105,300.00" as the number 105300
+     */
+    static readAmount(text, fields) {
+        const match = /RM\s*([\d,]+(?:\.\d+)?)/i.exec(text);
+        if (match) {
+            fields.amount = Number(match[1].replace(/,/g, ''));
+        }
+    }
+
+    /**
+     * Whether a token is the researcher's role on the project
+     */
+    static isRole(token) {
+        return /^(project|team)\s+(member|leader)$|^(principal|co-?)\s*investigator$|^(leader|member|head)$/i.test(token);
+    }
+
+    /**
+     * Scheme abbreviation found in the text, preferring one in parentheses ("... (FRGS)")
+     */
+    static findScheme(text) {
+        const bracketed = /\(([A-Za-z]{2,10})\)/.exec(text);
+        const named = bracketed && GrantFields.SCHEMES.find(scheme => scheme.toLowerCase() === bracketed[1].toLowerCase());
+        if (named) {
+            return named;
+        }
+        return GrantFields.SCHEMES.find(scheme => new RegExp(`\\b${scheme}\\b`, 'i').test(text)) || '';
+    }
+
+    /**
+     * Whether parsed fields look like a grant rather than any other row on the page:
+     * a title plus at least one grant-specific field
+     */
+    static isGrant(fields) {
+        return fields.title.length > 10 &&
+            Boolean(fields.role || fields.reference || fields.amount !== null || GrantFields.findScheme(fields.sponsor));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrantFields;
+}
@@ -0,0 +1,65 @@
+/**
+ * Grant Status
+ * Works out whether a grant is upcoming, active, ending soon or completed from
+ * its project period and today's date, unless the data file overrides it
+ */
+
+class GrantStatus {
+    /**
+     * Every status in display order, with the Bootstrap colour used for its badge and border.
+     * The name is what statusOverride uses in the data; the key names its I18n messages.
+     */
+    static get STATES() {
+        return [
+            { name: 'Active', key: 'active', color: 'primary' },
+            { name: 'Ending soon', key: 'endingSoon', color: 'warning' },
+            { name: 'Upcoming', key: 'upcoming', color: 'info' },
+            { name: 'Completed', key: 'completed', color: 'success' },
+            { name: 'Unknown', key: 'unknown', color: 'secondary' }
+        ];
+    }
+
+    /**
+     * Months before the end of a project in which it counts as ending soon
+     */
+    static get ENDING_SOON_MONTHS() {
+        return 6;
+    }
+
+    /**
+     * Status of a grant on the given date. A statusOverride naming one of the states wins;
+     * otherwise the project is taken to run from 1 January of startYear to 31 December of endYear.
+     */
+    static resolve(grant, now = new Date()) {
+        if (GrantStatus.STATES.some(state => state.name === grant.statusOverride)) {
+            return grant.statusOverride;
+        }
+        if (!grant.startYear || !grant.endYear) {
+            return 'Unknown';
+        }
+
+        const start = new Date(grant.startYear, 0, 1);
+        const end = new Date(grant.endYear, 11, 31, 23, 59, 59);
+        const endingSoon = new Date(end);
+        endingSoon.setMonth(endingSoon.getMonth() - GrantStatus.ENDING_SOON_MONTHS);
+
+        if (now < start) return 'Upcoming';
+        if (now > end) return 'Completed';
+        if (now >= endingSoon) return 'Ending soon';
+        return 'Active';
+    }
+
+    /**
+     * Group grants by status, in display order: [{ state, grants }]
+     */
+    static group(grants, now = new Date()) {
+        return GrantStatus.STATES.map(state => ({
+            state: state,
+            grants: grants.filter(grant => GrantStatus.resolve(grant, now) === state.name)
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrantStatus;
+}
@@ -0,0 +1,147 @@
+/**
+ * Grant Funding Summary
+ * Totals, per-scheme and per-role breakdowns and a project timeline for the
+ * grants modal, built from the structured grant records
+ */
+
+class GrantSummary {
+    /**
+     * Bar colour for each Bootstrap status colour used by GrantStatus
+     */
+    static get COLORS() {
+        return { primary: '#1f2d41', warning: '#ffc107', info: '#17a2b8', success: '#28a745', secondary: '#6c757d' };
+    }
+
+    /**
+     * Format an amount as Malaysian ringgit, e.g. "RM 105,300.00"
+     */
+    static formatAmount(amount) {
+        return `RM ${Number(amount).toLocaleString('en-MY', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Total funding, the breakdowns by scheme and role, and the number of grants per status
+     */
+    static summarize(grants, now = new Date()) {
+        const breakdown = field => {
+            const rows = new Map();
+            grants.forEach(grant => {
+                const label = grant[field] || 'Unspecified';
+                const row = rows.get(label) || { label: label, count: 0, amount: 0, disclosed: false };
+                row.count++;
+                if (grant.amount !== null && grant.amount !== undefined) {
+                    row.amount += Number(grant.amount);
+                    row.disclosed = true;
+                }
+                rows.set(label, row);
+            });
+            return Array.from(rows.values()).sort((a, b) => b.amount - a.amount || b.count - a.count);
+        };
+
+        const statuses = {};
+        GrantStatus.group(grants, now).forEach(({ state, grants: matching }) => {
+            statuses[state.name] = matching.length;
+        });
+
+        return {
+            total: grants.reduce((sum, grant) => sum + (Number(grant.amount) || 0), 0),
+            undisclosed: grants.filter(grant => grant.amount === null || grant.amount === undefined).length,
+            byScheme: breakdown('scheme'),
+            byRole: breakdown('role'),
+            statuses: statuses
+        };
+    }
+
+    /**
+     * Render the summary panel: cards, breakdown tables and the timeline
+     */
+    static render(grants, now = new Date()) {
+        const summary = GrantSummary.summarize(grants, now);
+        const active = summary.statuses['Active'] + summary.statuses['Ending soon'];
+
+        const cards = [
+            { label: I18n.t('summary.total'), value: GrantSummary.formatAmount(summary.total) },
+            { label: I18n.t('summary.active'), value: active },
+            { label: I18n.t('summary.completed'), value: summary.statuses['Completed'] }
+        ].map(card => SafeHtml.html`
+            <div class="col-4 mb-2">
+                <div class="metric-card border rounded p-2 h-100">
+                    <div class="h5 mb-0 text-primary">${card.value}</div>
+                    <small class="text-muted d-block">${card.label}</small>
+                </div>
+            </div>
+        `);
+
+        const table = (heading, rows) => SafeHtml.html`
+            <div class="col-md-6">
+                <table class="table table-sm grant-breakdown">
+                    <thead><tr><th>${heading}</th><th class="text-right">${I18n.t('summary.grants')}</th><th class="text-right">${I18n.t('summary.funding')}</th></tr></thead>
+                    <tbody>
+                        ${rows.map(row => SafeHtml.html`
+                            <tr><td>${row.label}</td><td class="text-right">${row.count}</td><td class="text-right">${row.disclosed ? GrantSummary.formatAmount(row.amount) : '-'}</td></tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        return SafeHtml.html`
+            <div class="grant-summary mb-4">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <b>${I18n.t('summary.heading')}</b>
+                    <button type="button" class="btn btn-sm btn-outline-primary d-print-none" data-grant-summary-print><i class="fas fa-print"></i> ${I18n.t('summary.print')}</button>
+                </div>
+                <div class="row text-center">${cards}</div>
+                ${summary.undisclosed > 0 ? SafeHtml.html`<small class="text-muted d-block mb-2">${I18n.t('summary.undisclosed', { count: summary.undisclosed, total: grants.length })}</small>` : ''}
+                <div class="row">
+                    ${table(I18n.t('summary.scheme'), summary.byScheme)}
+                    ${table(I18n.t('summary.role'), summary.byRole)}
+                </div>
+                ${GrantSummary.renderTimeline(grants, now)}
+            </div>
+        `;
+    }
+
+    /**
+     * Timeline of the grants with a known project period, coloured by status
+     */
+    static renderTimeline(grants, now = new Date()) {
+        const colors = GrantSummary.COLORS;
+        const rows = [];
+
+        GrantStatus.group(grants, now).forEach(({ state, grants: matching }) => {
+            matching
+                .filter(grant => grant.startYear && grant.endYear)
+                .forEach(grant => rows.push({
+                    label: grant.scheme || grant.type || 'Grant',
+                    title: grant.title,
+                    start: grant.startYear,
+                    end: grant.endYear,
+                    color: colors[state.color]
+                }));
+        });
+
+        if (rows.length === 0) return SafeHtml.html``;
+
+        const yearFraction = now.getFullYear() + now.getMonth() / 12;
+        const missing = grants.length - rows.length;
+        return SafeHtml.html`
+            <h6 class="mt-3 mb-1">${I18n.t('summary.timeline')}</h6>
+            ${SvgCharts.ganttChart(rows, { title: I18n.t('summary.timelineTitle'), marker: yearFraction })}
+            <small class="text-muted">${I18n.t('summary.today')}${missing > 0 ? ` ${I18n.t('summary.noPeriod', { count: missing })}` : ''}</small>
+        `;
+    }
+
+    /**
+     * Print only the summary panel, using the print-grant-summary rules in styles.css
+     */
+    static print() {
+        document.body.classList.add('print-grant-summary');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-grant-summary'), { once: true });
+        window.print();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrantSummary;
+}
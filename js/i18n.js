@@ -0,0 +1,586 @@
+/**
+ * Internationalisation
+ * English and Bahasa Malaysia message catalogues and the navbar language toggle.
+ * The language comes from ?lang=, the visitor's earlier choice or the browser,
+ * and is kept on <html lang>. Static markup is written in English: elements marked
+ * with data-i18n (text) or data-i18n-attr ("placeholder:key;aria-label:key") only
+ * need a Malay entry, and get their English text back from the markup. Rendered
+ * strings use I18n.t(), and renderers listen for the "i18n:change" event on document.
+ */
+
+class I18n {
+    /**
+     * Supported languages, the first being the default
+     */
+    static get LANGUAGES() {
+        return {
+            en: { name: 'English', locale: 'en-MY' },
+            ms: { name: 'Bahasa Malaysia', locale: 'ms-MY' }
+        };
+    }
+
+    /**
+     * Messages by language and dotted key, with {name} placeholders. Built on first use
+     * and kept, since t() reads them for every string a renderer writes.
+     */
+    static get CATALOGUES() {
+        if (!I18n.catalogues) {
+            I18n.catalogues = I18n.buildCatalogues();
+        }
+        return I18n.catalogues;
+    }
+
+    /**
+     * The catalogues as written, for CATALOGUES
+     */
+    static buildCatalogues() {
+        return {
+            en: {
+                'language.switch': 'BM',
+                'language.switchLabel': 'Baca dalam Bahasa Malaysia',
+                'common.loading': 'Loading...',
+                'common.viewProfile': 'View full profile',
+                'common.and': ' and ',
+                'offline.label': 'Offline',
+                'offline.notice': 'Showing data saved on {when}, which may be out of date.',
+
+                'publications.heading': 'Publications',
+                'publications.loading': 'Loading publications...',
+                'publications.errorTitle': 'Unable to load publications automatically',
+                'publications.errorBody': 'Please visit my {link} to view my publications.',
+                'publications.errorLink': 'Google Scholar profile',
+                'publications.live': 'Publication data fetched live from {source}.',
+                'publications.cached': 'Showing publication data from {source} cached on {when}.',
+                'publications.bundled': 'Showing bundled publication data generated on {when}.',
+                'publications.bundledWarning': 'Publications added since this list was generated may not be displayed.',
+                'publications.orcidRecord': 'ORCID record',
+                'publications.search': 'Search title, authors or venue',
+                'publications.searchLabel': 'Search publications',
+                'publications.fromYear': 'From year',
+                'publications.toYear': 'To year',
+                'publications.venueType': 'Venue type',
+                'publications.allVenues': 'All venues',
+                'publications.journals': 'Journals',
+                'publications.conferences': 'Conferences',
+                'publications.sortOrder': 'Sort order',
+                'publications.sortProfile': 'Profile order',
+                'publications.sortYear': 'Newest first',
+                'publications.sortCitations': 'Most cited',
+                'publications.sortTitle': 'Title (A-Z)',
+                'publications.count': 'Showing {visible} of {total} publications',
+                'publications.noMatch': 'No publications match the current filters.',
+                'publications.citations': 'Citations: {count}',
+                'publications.select': 'Select for export',
+                'publications.export': 'Export',
+                'publications.download': 'Download',
+                'publications.copy': 'Copy',
+                'publications.copied': 'Copied {format} to clipboard',
+                'publications.exportFailed': 'Export failed, please try again',
+                'publications.selected': '{count} selected',
+                'publications.allShown': 'All {count} shown publications',
+                'publications.citationStyle': 'Citation style',
+                'publications.styleDefault': 'Default',
+                'publications.showDetails': 'Details',
+                'publications.hideDetails': 'Hide details',
+                'publications.detailsLoading': 'Loading details from Google Scholar...',
+                'publications.detailsFailed': 'The details could not be loaded. See the {link}.',
+                'publications.detailsLink': 'Google Scholar page',
+                'publications.detail.authors': 'Authors',
+                'publications.detail.date': 'Publication date',
+                'publications.detail.venue': 'Published in',
+                'publications.detail.publisher': 'Publisher',
+                'publications.detail.pdf': 'PDF',
+                'publications.detail.publisherPage': 'Publisher page',
+
+                'metrics.citations': 'Citations',
+                'metrics.since': 'Since {year}: {count}',
+                'metrics.citationsPerYear': 'Citations per year',
+                'metrics.publicationsPerYear': 'Publications per year',
+                'metrics.computed': 'Metrics computed from the publications listed below.',
+
+                'grants.heading': 'Research Grants & Projects',
+                'grants.loading': 'Loading research grants from UiTM Expert...',
+                'grants.errorTitle': 'Unable to load research grants automatically',
+                'grants.errorBody': 'Please visit my {link} to view my research grants.',
+                'grants.errorLink': 'UiTM Expert profile',
+                'grants.live': 'Research grant data fetched live from UiTM Expert profile.',
+                'grants.cached': 'Showing research grant data from UiTM Expert cached on {when}.',
+                'grants.bundled': 'Showing bundled research grant data generated on {when}.',
+                'grants.team': 'Team: {members}',
+                'grants.status.active': 'Active',
+                'grants.status.endingSoon': 'Ending soon',
+                'grants.status.upcoming': 'Upcoming',
+                'grants.status.completed': 'Completed',
+                'grants.status.unknown': 'Unknown',
+                'grants.heading.active': 'Active Research Grants',
+                'grants.heading.endingSoon': 'Research Grants Ending Soon',
+                'grants.heading.upcoming': 'Upcoming Research Grants',
+                'grants.heading.completed': 'Completed Research Grants',
+                'grants.heading.unknown': 'Research Grants With Unknown Period',
+
+                'summary.heading': 'Funding Summary',
+                'summary.print': 'Print',
+                'summary.total': 'Total funding',
+                'summary.active': 'Active grants',
+                'summary.completed': 'Completed grants',
+                'summary.scheme': 'Scheme',
+                'summary.role': 'Role',
+                'summary.grants': 'Grants',
+                'summary.funding': 'Funding',
+                'summary.undisclosed': '{count} of {total} grants list no amount and are not included in the total.',
+                'summary.timeline': 'Project timeline',
+                'summary.timelineTitle': 'Grant project timeline',
+                'summary.today': 'Dashed line marks today.',
+                'summary.noPeriod': '{count} grants without a project period are not shown.',
+
+                'cv.loading': 'Putting the CV together...',
+                'cv.include': 'Include',
+                'cv.fromYear': 'From year',
+                'cv.toYear': 'To year',
+                'cv.print': 'Print / Save as PDF',
+                'cv.undated': 'Entries without a date are included whatever the year range.',
+                'cv.period': 'Covering {from} to {to}',
+                'cv.nothingSelected': 'Choose at least one section to include.',
+                'cv.noneInRange': 'Nothing in the chosen year range.',
+                'cv.generated': 'Generated on {date}.',
+                'cv.sections.research': 'Research Areas',
+                'cv.sections.education': 'Education',
+                'cv.sections.experience': 'Work Experience',
+                'cv.sections.grants': 'Research Grants',
+                'cv.sections.publications': 'Publications',
+                'cv.sections.projects': 'Projects',
+                'cv.sections.awards': 'Awards',
+
+                'network.loading': 'Drawing the co-author network...',
+                'network.empty': 'There are no co-authors to show yet.',
+                'network.intro': '{people} people I have published or held grants with. Bigger circles and thicker lines mean more work together.',
+                'network.chartTitle': 'Co-author network',
+                'network.personTitle': '{name}: {publications} publications, {grants} grants',
+                'network.linkTitle': '{publications} joint publications, {grants} joint grants',
+                'network.legend.owner': 'Me',
+                'network.legend.both': 'Publications and grants',
+                'network.legend.publications': 'Publications',
+                'network.legend.grants': 'Grants',
+                'network.partial': '{count} publications list only some of their authors (et al.), so their other co-authors are missing.',
+                'network.hint': 'Click a person to see the publications and grants we share.',
+                'network.shared': 'Shared with {name}',
+                'network.sharedOwner': 'All publications and grants',
+                'network.clear': 'Show everyone',
+                'network.publications': 'Publications ({count})',
+                'network.grants': 'Research grants ({count})',
+                'network.open': 'Co-author network',
+
+                'contact.fields.name': 'Name',
+                'contact.fields.email': 'Email address',
+                'contact.fields.subject': 'Subject',
+                'contact.fields.message': 'Message',
+                'contact.required': 'Please enter your {field}.',
+                'contact.invalidEmail': 'Please enter a valid email address.',
+                'contact.tooShort': '{field} must be at least {min} characters.',
+                'contact.tooLong': '{field} must be at most {max} characters.',
+                'contact.correctFields': 'Please correct the highlighted fields.',
+                'contact.tooQuick': 'That was quick! Please check your message and send it again.',
+                'contact.failed': 'Sorry, your message could not be sent ({reason}).',
+                'contact.notSetUp': 'Sending messages is not set up on this site yet.',
+                'contact.mailApp': 'Your email app should open with the message filled in. Send it from there.',
+                'contact.sent': 'Thank you! Your message has been sent.',
+                'contact.byEmail': 'Send it by email instead.',
+                'contact.sending': 'Sending...',
+                'contact.send': 'Send'
+            },
+            ms: {
+                'language.switch': 'EN',
+                'language.switchLabel': 'Read in English',
+                'common.loading': 'Memuatkan...',
+                'common.viewProfile': 'Lihat profil penuh',
+                'common.and': ' dan ',
+                'offline.label': 'Luar talian',
+                'offline.notice': 'Memaparkan data yang disimpan pada {when}, yang mungkin sudah lapuk.',
+
+                'nav.menu': 'Menu',
+                'nav.profile': 'Profil',
+                'nav.about': 'Tentang Saya',
+                'nav.contact': 'Hubungi',
+                'nav.cv': 'CV',
+                'masthead.subheading': 'Pensyarah - Penyelidik Keselamatan Siber - Pembangun Bebas - Peminat Komputer',
+                'section.profile': 'Profil',
+                'section.about': 'Tentang Saya',
+                'section.contact': 'Hubungi Saya',
+                'modal.close': 'Tutup Tetingkap',
+                'footer.research': 'Bidang Penyelidikan Saya',
+                'footer.social': 'Cari Saya di Laman Ini',
+                'footer.about': 'Tentang Saya',
+                'footer.aboutText': 'Pensyarah, Penyelidik Keselamatan Siber, Peminat Komputer, Pembangun Bebas. Jom Berhubung.',
+
+                'portfolio.projects.label': 'Projek Web',
+                'portfolio.projects.title': 'Projek Web Saya',
+                'portfolio.projects.url': 'URL',
+                'portfolio.projects.stack': 'Dibina menggunakan',
+                'portfolio.projects.role': 'Peranan Saya',
+                'portfolio.education.label': 'Pendidikan',
+                'portfolio.education.title': 'Pendidikan Saya',
+                'portfolio.grants.label': 'Geran Penyelidikan',
+                'portfolio.grants.title': 'Geran Penyelidikan',
+                'portfolio.grants.loading': 'Memuatkan geran penyelidikan daripada UiTM Expert...',
+                'portfolio.experience.label': 'Pengalaman Kerja',
+                'portfolio.experience.title': 'Pengalaman Kerja Lalu',
+                'portfolio.certifications.label': 'Pensijilan',
+                'portfolio.certifications.title': 'Pensijilan Saya',
+                'portfolio.publications.label': 'Penerbitan',
+                'portfolio.publications.title': 'Penerbitan Saya',
+                'portfolio.publications.loading': 'Memuatkan penerbitan daripada Google Scholar...',
+                'portfolio.teaching.label': 'Subjek Pengajaran',
+                'portfolio.teaching.title': 'Subjek Pengajaran',
+                'portfolio.memberships.label': 'Keahlian Profesional',
+                'portfolio.memberships.title': 'Keahlian Profesional',
+                'portfolio.memberships.number': 'No. Keahlian',
+                'portfolio.iot.label': 'Projek IoT',
+                'portfolio.iot.title': 'Projek IoT',
+                'portfolio.iot.location': 'Lokasi',
+                'portfolio.iot.stack': 'Teknologi',
+                'portfolio.consultation.label': 'Perundingan',
+                'portfolio.consultation.title': 'Perundingan',
+                'portfolio.consultation.stakeholder': 'Pihak Berkepentingan',
+                'portfolio.consultation.stack': 'Teknologi',
+                'portfolio.consultation.value': 'Nilai',
+                'portfolio.consultation.description': 'Keterangan',
+                'portfolio.awards.label': 'Anugerah',
+                'portfolio.awards.title': 'Anugerah',
+                'portfolio.awards.category': 'Kategori',
+                'portfolio.awards.project': 'Projek',
+                'portfolio.awards.role': 'Peranan',
+                'portfolio.awards.description': 'Keterangan',
+                'portfolio.ip.label': 'Harta Intelek',
+                'portfolio.ip.title': 'Harta Intelek',
+                'portfolio.ip.reference': 'Rujukan',
+
+                'publications.heading': 'Penerbitan',
+                'publications.loading': 'Memuatkan penerbitan...',
+                'publications.errorTitle': 'Penerbitan tidak dapat dimuatkan secara automatik',
+                'publications.errorBody': 'Sila lawati {link} saya untuk melihat penerbitan saya.',
+                'publications.errorLink': 'profil Google Scholar',
+                'publications.live': 'Data penerbitan diambil secara langsung daripada {source}.',
+                'publications.cached': 'Memaparkan data penerbitan daripada {source} yang disimpan pada {when}.',
+                'publications.bundled': 'Memaparkan data penerbitan sedia ada yang dijana pada {when}.',
+                'publications.bundledWarning': 'Penerbitan yang ditambah selepas senarai ini dijana mungkin tidak dipaparkan.',
+                'publications.orcidRecord': 'Rekod ORCID',
+                'publications.search': 'Cari tajuk, pengarang atau tempat terbitan',
+                'publications.searchLabel': 'Cari penerbitan',
+                'publications.fromYear': 'Dari tahun',
+                'publications.toYear': 'Hingga tahun',
+                'publications.venueType': 'Jenis terbitan',
+                'publications.allVenues': 'Semua terbitan',
+                'publications.journals': 'Jurnal',
+                'publications.conferences': 'Persidangan',
+                'publications.sortOrder': 'Susunan',
+                'publications.sortProfile': 'Susunan profil',
+                'publications.sortYear': 'Terbaru dahulu',
+                'publications.sortCitations': 'Paling banyak dipetik',
+                'publications.sortTitle': 'Tajuk (A-Z)',
+                'publications.count': 'Memaparkan {visible} daripada {total} penerbitan',
+                'publications.noMatch': 'Tiada penerbitan yang sepadan dengan penapis semasa.',
+                'publications.citations': 'Petikan: {count}',
+                'publications.select': 'Pilih untuk dieksport',
+                'publications.export': 'Eksport',
+                'publications.download': 'Muat turun',
+                'publications.copy': 'Salin',
+                'publications.copied': '{format} telah disalin ke papan keratan',
+                'publications.exportFailed': 'Eksport gagal, sila cuba lagi',
+                'publications.selected': '{count} dipilih',
+                'publications.allShown': 'Kesemua {count} penerbitan yang dipaparkan',
+                'publications.citationStyle': 'Gaya petikan',
+                'publications.styleDefault': 'Lalai',
+                'publications.showDetails': 'Butiran',
+                'publications.hideDetails': 'Sembunyikan butiran',
+                'publications.detailsLoading': 'Memuatkan butiran daripada Google Scholar...',
+                'publications.detailsFailed': 'Butiran tidak dapat dimuatkan. Lihat {link}.',
+                'publications.detailsLink': 'halaman Google Scholar',
+                'publications.detail.authors': 'Pengarang',
+                'publications.detail.date': 'Tarikh terbitan',
+                'publications.detail.venue': 'Diterbitkan dalam',
+                'publications.detail.publisher': 'Penerbit',
+                'publications.detail.pdf': 'PDF',
+                'publications.detail.publisherPage': 'Halaman penerbit',
+
+                'metrics.citations': 'Petikan',
+                'metrics.since': 'Sejak {year}: {count}',
+                'metrics.citationsPerYear': 'Petikan setahun',
+                'metrics.publicationsPerYear': 'Penerbitan setahun',
+                'metrics.computed': 'Metrik dikira daripada penerbitan yang disenaraikan di bawah.',
+
+                'grants.heading': 'Geran & Projek Penyelidikan',
+                'grants.loading': 'Memuatkan geran penyelidikan daripada UiTM Expert...',
+                'grants.errorTitle': 'Geran penyelidikan tidak dapat dimuatkan secara automatik',
+                'grants.errorBody': 'Sila lawati {link} saya untuk melihat geran penyelidikan saya.',
+                'grants.errorLink': 'profil UiTM Expert',
+                'grants.live': 'Data geran penyelidikan diambil secara langsung daripada profil UiTM Expert.',
+                'grants.cached': 'Memaparkan data geran penyelidikan daripada UiTM Expert yang disimpan pada {when}.',
+                'grants.bundled': 'Memaparkan data geran penyelidikan sedia ada yang dijana pada {when}.',
+                'grants.team': 'Pasukan: {members}',
+                'grants.status.active': 'Aktif',
+                'grants.status.endingSoon': 'Hampir tamat',
+                'grants.status.upcoming': 'Akan datang',
+                'grants.status.completed': 'Selesai',
+                'grants.status.unknown': 'Tidak diketahui',
+                'grants.heading.active': 'Geran Penyelidikan Aktif',
+                'grants.heading.endingSoon': 'Geran Penyelidikan Hampir Tamat',
+                'grants.heading.upcoming': 'Geran Penyelidikan Akan Datang',
+                'grants.heading.completed': 'Geran Penyelidikan Selesai',
+                'grants.heading.unknown': 'Geran Penyelidikan Tanpa Tempoh Diketahui',
+
+                'summary.heading': 'Ringkasan Pembiayaan',
+                'summary.print': 'Cetak',
+                'summary.total': 'Jumlah pembiayaan',
+                'summary.active': 'Geran aktif',
+                'summary.completed': 'Geran selesai',
+                'summary.scheme': 'Skim',
+                'summary.role': 'Peranan',
+                'summary.grants': 'Geran',
+                'summary.funding': 'Pembiayaan',
+                'summary.undisclosed': '{count} daripada {total} geran tidak menyatakan jumlah dan tidak termasuk dalam jumlah keseluruhan.',
+                'summary.timeline': 'Garis masa projek',
+                'summary.timelineTitle': 'Garis masa projek geran',
+                'summary.today': 'Garis putus-putus menandakan hari ini.',
+                'summary.noPeriod': '{count} geran tanpa tempoh projek tidak dipaparkan.',
+
+                'cv.title': 'Curriculum Vitae',
+                'cv.loading': 'Menyediakan CV...',
+                'cv.include': 'Sertakan',
+                'cv.fromYear': 'Dari tahun',
+                'cv.toYear': 'Hingga tahun',
+                'cv.print': 'Cetak / Simpan sebagai PDF',
+                'cv.undated': 'Entri tanpa tarikh disertakan tanpa mengira julat tahun.',
+                'cv.period': 'Meliputi {from} hingga {to}',
+                'cv.nothingSelected': 'Pilih sekurang-kurangnya satu bahagian untuk disertakan.',
+                'cv.noneInRange': 'Tiada entri dalam julat tahun yang dipilih.',
+                'cv.generated': 'Dijana pada {date}.',
+                'cv.sections.research': 'Bidang Penyelidikan',
+                'cv.sections.education': 'Pendidikan',
+                'cv.sections.experience': 'Pengalaman Kerja',
+                'cv.sections.grants': 'Geran Penyelidikan',
+                'cv.sections.publications': 'Penerbitan',
+                'cv.sections.projects': 'Projek',
+                'cv.sections.awards': 'Anugerah',
+
+                'network.title': 'Rangkaian Pengarang Bersama',
+                'network.loading': 'Melukis rangkaian pengarang bersama...',
+                'network.empty': 'Belum ada pengarang bersama untuk dipaparkan.',
+                'network.intro': '{people} orang yang pernah menerbitkan atau memegang geran bersama saya. Bulatan yang lebih besar dan garisan yang lebih tebal bermaksud lebih banyak kerja bersama.',
+                'network.chartTitle': 'Rangkaian pengarang bersama',
+                'network.personTitle': '{name}: {publications} penerbitan, {grants} geran',
+                'network.linkTitle': '{publications} penerbitan bersama, {grants} geran bersama',
+                'network.legend.owner': 'Saya',
+                'network.legend.both': 'Penerbitan dan geran',
+                'network.legend.publications': 'Penerbitan',
+                'network.legend.grants': 'Geran',
+                'network.partial': '{count} penerbitan hanya menyenaraikan sebahagian pengarangnya (et al.), jadi pengarang bersama yang lain tiada.',
+                'network.hint': 'Klik seseorang untuk melihat penerbitan dan geran yang dikongsi bersama.',
+                'network.shared': 'Dikongsi bersama {name}',
+                'network.sharedOwner': 'Semua penerbitan dan geran',
+                'network.clear': 'Tunjukkan semua',
+                'network.publications': 'Penerbitan ({count})',
+                'network.grants': 'Geran penyelidikan ({count})',
+                'network.open': 'Rangkaian pengarang bersama',
+
+                'contact.fields.name': 'Nama',
+                'contact.fields.email': 'Alamat e-mel',
+                'contact.fields.subject': 'Subjek',
+                'contact.fields.message': 'Mesej',
+                'contact.subjectPlaceholder': 'Subjek (pilihan)',
+                'contact.required': 'Sila masukkan {field} anda.',
+                'contact.invalidEmail': 'Sila masukkan alamat e-mel yang sah.',
+                'contact.tooShort': '{field} mestilah sekurang-kurangnya {min} aksara.',
+                'contact.tooLong': '{field} tidak boleh melebihi {max} aksara.',
+                'contact.correctFields': 'Sila betulkan ruangan yang ditandakan.',
+                'contact.tooQuick': 'Cepatnya! Sila semak mesej anda dan hantar sekali lagi.',
+                'contact.failed': 'Maaf, mesej anda tidak dapat dihantar ({reason}).',
+                'contact.notSetUp': 'Penghantaran mesej belum disediakan di laman ini.',
+                'contact.mailApp': 'Aplikasi e-mel anda sepatutnya dibuka dengan mesej yang telah diisi. Hantar dari sana.',
+                'contact.sent': 'Terima kasih! Mesej anda telah dihantar.',
+                'contact.byEmail': 'Hantar melalui e-mel sahaja.',
+                'contact.sending': 'Menghantar...',
+                'contact.send': 'Hantar'
+            }
+        };
+    }
+
+    /**
+     * localStorage key for the visitor's choice
+     */
+    static get STORAGE_KEY() {
+        return 'mebikarbonat:language';
+    }
+
+    /**
+     * The current language, kept on <html lang> ('en' outside the browser)
+     */
+    static language() {
+        const lang = typeof document !== 'undefined' ? document.documentElement.lang : '';
+        return lang in I18n.LANGUAGES ? lang : 'en';
+    }
+
+    /**
+     * Locale for dates and numbers in the current language, e.g. "ms-MY"
+     */
+    static locale() {
+        return I18n.LANGUAGES[I18n.language()].locale;
+    }
+
+    /**
+     * Language to start with: ?lang=, then the visitor's earlier choice, then the browser's preferences
+     */
+    static detect() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (requested in I18n.LANGUAGES) return requested;
+
+        try {
+            const saved = localStorage.getItem(I18n.STORAGE_KEY);
+            if (saved in I18n.LANGUAGES) return saved;
+        } catch (error) {
+            // Storage blocked: fall through to the browser
+        }
+
+        const preferred = navigator.languages || [navigator.language || ''];
+        const match = preferred
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(lang => lang in I18n.LANGUAGES);
+        return match || 'en';
+    }
+
+    /**
+     * Switch language: update <html lang>, re-translate the page and tell the renderers.
+     * With remember, the choice is kept for later visits.
+     */
+    static setLanguage(lang, remember = true) {
+        if (!(lang in I18n.LANGUAGES)) return;
+
+        document.documentElement.lang = lang;
+        if (remember) {
+            try {
+                localStorage.setItem(I18n.STORAGE_KEY, lang);
+            } catch (error) {
+                console.error('Error saving language:', error);
+            }
+        }
+
+        I18n.translate(document);
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { language: lang } }));
+    }
+
+    /**
+     * Take ?lang= out of the address bar, so a reload or a bookmark keeps the language
+     * the visitor picked instead of the one the link asked for
+     */
+    static clearRequestedLanguage() {
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has('lang') || !window.history || !window.history.replaceState) return;
+
+        url.searchParams.delete('lang');
+        window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+
+    /**
+     * Message for a key in the current language, falling back to English and then to the key.
+     * Placeholders such as {count} are replaced from params.
+     */
+    static t(key, params = {}) {
+        const catalogues = I18n.CATALOGUES;
+        const message = I18n.lookup(key, I18n.language());
+        const template = message !== undefined ? message : (key in catalogues.en ? catalogues.en[key] : key);
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Like t(), but as SafeHtml: the message is escaped and params may be SafeHtml, e.g. a link
+     */
+    static html(key, params = {}) {
+        const parts = I18n.t(key).split(/\{(\w+)\}/);
+        return SafeHtml.raw(parts
+            .map((part, index) => (index % 2 === 0 ? SafeHtml.escape(part) : SafeHtml.render(part in params ? params[part] : `{${part}}`)))
+            .join(''));
+    }
+
+    /**
+     * Message for a key in one language only, or undefined
+     */
+    static lookup(key, lang) {
+        const catalogue = I18n.CATALOGUES[lang] || {};
+        return key in catalogue ? catalogue[key] : undefined;
+    }
+
+    /**
+     * Translate the data-i18n and data-i18n-attr elements under root. The English text of
+     * each is saved in data-i18n-source the first time, so switching back restores it.
+     */
+    static translate(root) {
+        const lang = I18n.language();
+
+        root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(element => {
+            const targets = {};
+            if (element.hasAttribute('data-i18n')) {
+                targets.text = element.getAttribute('data-i18n');
+            }
+            (element.getAttribute('data-i18n-attr') || '').split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) targets[attr] = key;
+            });
+
+            if (!element.hasAttribute('data-i18n-source')) {
+                const source = {};
+                Object.keys(targets).forEach(target => {
+                    source[target] = target === 'text' ? element.textContent : element.getAttribute(target);
+                });
+                element.setAttribute('data-i18n-source', JSON.stringify(source));
+            }
+            const source = JSON.parse(element.getAttribute('data-i18n-source'));
+
+            // English is the language of the markup itself
+            Object.entries(targets).forEach(([target, key]) => {
+                const message = lang === 'en' ? undefined : I18n.lookup(key, lang);
+                const value = message !== undefined ? message : source[target];
+                if (target === 'text') {
+                    element.textContent = value;
+                } else if (value !== null && value !== undefined) {
+                    element.setAttribute(target, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Point the navbar toggle at the other language
+     */
+    static updateToggle(toggle) {
+        const other = I18n.language() === 'ms' ? 'en' : 'ms';
+        toggle.textContent = I18n.t('language.switch');
+        toggle.setAttribute('aria-label', I18n.t('language.switchLabel'));
+        toggle.setAttribute('lang', other);
+        toggle.setAttribute('hreflang', other);
+        toggle.setAttribute('href', `?lang=${other}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
+
+// Pick the language straight away so the section scripts render in it
+// (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.documentElement.lang = I18n.detect();
+
+    document.addEventListener('DOMContentLoaded', function() {
+        I18n.translate(document);
+
+        const toggle = document.querySelector('[data-language-toggle]');
+        if (toggle) {
+            I18n.updateToggle(toggle);
+            toggle.addEventListener('click', function(event) {
+                event.preventDefault();
+                I18n.setLanguage(I18n.language() === 'ms' ? 'en' : 'ms');
+                I18n.clearRequestedLanguage();
+            });
+            document.addEventListener('i18n:change', () => I18n.updateToggle(toggle));
+        }
+    });
+}
@@ -0,0 +1,161 @@
+/**
+ * Modal Router
+ * Opens the profile modals from hash routes such as #/publications or
+ * #/publications?q=malware&from=2020, and keeps them in the browser history:
+ * opening a modal adds a history entry, closing it goes back, and the Back
+ * button closes an open modal instead of leaving the page.
+ */
+
+class ModalRouter {
+    constructor(options = {}) {
+        this.document = options.document || document;
+        this.window = options.window || window;
+        this.routes = new Map();   // route -> modal element, from data-route attributes
+        this.openRoute = null;
+        this.depth = 0;   // Route entries stacked on top of the page entry in the history
+        this.closingFromHistory = new Set();   // Modals being hidden because the URL already moved on
+    }
+
+    /**
+     * Split a hash such as "#/publications?q=x" into { route, params }, or null when it is not a route
+     */
+    static parse(hash) {
+        const match = /^#\/([a-z0-9-]+)\/?(?:\?(.*))?$/i.exec(String(hash || ''));
+        return match ? { route: match[1].toLowerCase(), params: new URLSearchParams(match[2] || '') } : null;
+    }
+
+    /**
+     * Hash for a route with optional parameters, e.g. "#/grants"
+     */
+    static format(route, params) {
+        const query = params ? new URLSearchParams(params).toString() : '';
+        return `#/${route}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Collect the routed modals, bind their show and hide events and open the modal in the current URL
+     */
+    start() {
+        this.document.querySelectorAll('.portfolio-modal[data-route]').forEach(modal => {
+            this.routes.set(modal.dataset.route, modal);
+            $(modal).on('show.bs.modal', () => this.handleShow(modal));
+            $(modal).on('hidden.bs.modal', () => this.handleHidden(modal));
+        });
+
+        this.window.addEventListener('popstate', () => this.sync());
+
+        // Landing on a route: put the page itself underneath it, so Back closes the modal first
+        // (a reload keeps the entries added the first time)
+        const current = ModalRouter.parse(this.window.location.hash);
+        const state = this.window.history.state;
+        if (current && this.routes.has(current.route) && !(state && state.modalRoute)) {
+            const history = this.window.history;
+            const hash = this.window.location.hash;
+            history.replaceState(null, '', this.pageUrl());
+            history.pushState({ modalRoute: current.route, depth: 1 }, '', hash);
+        }
+        this.sync();
+    }
+
+    /**
+     * The current URL without its hash
+     */
+    pageUrl() {
+        return this.window.location.pathname + this.window.location.search;
+    }
+
+    /**
+     * Open the modal named by the URL and close any other, after a link, Back or Forward
+     */
+    sync() {
+        const current = ModalRouter.parse(this.window.location.hash);
+        const route = current && this.routes.has(current.route) ? current.route : null;
+        const state = this.window.history.state;
+
+        // Entries from #/ links and edited addresses have no state yet: number them on top of the last one
+        if (!route) {
+            this.depth = 0;
+        } else if (state && state.modalRoute) {
+            this.depth = state.depth;
+        } else {
+            this.depth += 1;
+            this.window.history.replaceState({ modalRoute: route, depth: this.depth }, '', this.window.location.href);
+        }
+
+        if (this.openRoute && this.openRoute !== route) {
+            // Open the next modal only once this one has faded out: Bootstrap removes
+            // body.modal-open at that point, which would leave the new modal unable to scroll
+            const modal = this.routes.get(this.openRoute);
+            this.closingFromHistory.add(modal);
+            $(modal).one('hidden.bs.modal', () => this.showCurrent());
+            $(modal).modal('hide');
+        } else {
+            this.showCurrent();
+        }
+    }
+
+    /**
+     * Open the modal named by the URL, if it is not open already
+     */
+    showCurrent() {
+        const current = ModalRouter.parse(this.window.location.hash);
+        if (!current || !this.routes.has(current.route)) return;
+
+        // Sections that take parameters (e.g. publication filters) read them from this event,
+        // before the modal opens and starts loading
+        const modal = this.routes.get(current.route);
+        modal.dispatchEvent(new this.window.CustomEvent('route', { detail: { route: current.route, params: current.params } }));
+        if (this.openRoute !== current.route) {
+            $(modal).modal('show');
+        }
+    }
+
+    /**
+     * A modal is opening: add its route to the history unless the URL already shows it
+     */
+    handleShow(modal) {
+        const route = modal.dataset.route;
+        const current = ModalRouter.parse(this.window.location.hash);
+        this.openRoute = route;
+
+        if (!current || current.route !== route) {
+            this.depth += 1;
+            this.window.history.pushState({ modalRoute: route, depth: this.depth }, '', ModalRouter.format(route));
+        }
+    }
+
+    /**
+     * A modal has closed: step back over every route entry down to the page, whether they
+     * came from opening modals, #/ links, edited parameters or landing on a route
+     */
+    handleHidden(modal) {
+        const route = modal.dataset.route;
+        if (this.openRoute === route) {
+            this.openRoute = null;
+        }
+        if (this.closingFromHistory.delete(modal)) {
+            return;
+        }
+
+        const current = ModalRouter.parse(this.window.location.hash);
+        if (current && current.route === route && this.depth > 0) {
+            this.window.history.go(-this.depth);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModalRouter;
+}
+
+// Start once the section scripts have bound their modal handlers, so routed modals
+// trigger their lazy loaders (this script is loaded last; skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const modalRouter = new ModalRouter();
+        modalRouter.start();
+
+        // Make it globally available for other scripts that open sections
+        window.modalRouter = modalRouter;
+    });
+}
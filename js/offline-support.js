@@ -0,0 +1,53 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) and renders the notice the publications
+ * and grants modals show when their data is stale because the visitor is offline
+ */
+
+class OfflineSupport {
+    /**
+     * Register the service worker, which lives at the site root so it controls every page
+     */
+    static register() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+
+    /**
+     * Whether the browser reports no network connection
+     */
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Notice for data the service worker served from its cache ('offline' provenance), or
+     * for saved data shown while the browser is offline; nothing when the data is fresh
+     */
+    static renderNotice(provenance) {
+        if (!provenance) return '';
+        if (provenance.kind !== 'offline' && !(OfflineSupport.isOffline() && provenance.kind !== 'live')) return '';
+
+        const when = new Date(provenance.updatedAt).toLocaleString(I18n.locale());
+        return SafeHtml.html`
+            <div class="alert alert-secondary small py-2 offline-notice" role="status">
+                <i class="fas fa-plug"></i> <strong>${I18n.t('offline.label')}</strong> &middot; ${I18n.t('offline.notice', { when: when })}
+            </div>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSupport;
+}
+
+// Register once the page has loaded, so precaching does not compete with it
+// (skipped when required from Node)
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', function() {
+        OfflineSupport.register();
+    });
+}
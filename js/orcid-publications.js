@@ -0,0 +1,100 @@
+/**
+ * ORCID Publications Fetcher
+ * Reads works from the ORCID public API and maps them to the same record shape
+ * as ScholarPublications (title, authors, venue, year, link)
+ */
+
+class OrcidPublications {
+    /**
+     * Options: orcidId, apiUrl (point it at a local server to replay recorded responses)
+     * and proxyFetcher (defaults to direct requests, the public API allows CORS)
+     */
+    constructor(options = {}) {
+        this.orcidId = options.orcidId || '0000-0002-8183-0457';
+        this.apiUrl = (options.apiUrl || 'https://pub.orcid.org/v3.0').replace(/\/$/, '');
+        this.proxyFetcher = options.proxyFetcher || new ProxyFetcher({ proxies: [{ name: 'direct', url: null }] });
+        this.bulkSize = 100;   // Most works the bulk endpoint returns per request
+    }
+
+    /**
+     * Public profile page
+     */
+    get profileUrl() {
+        return `https://orcid.org/${this.orcidId}`;
+    }
+
+    /**
+     * GET a JSON document from the API
+     */
+    async fetchJson(path) {
+        const text = await this.proxyFetcher.fetchText(`${this.apiUrl}/${this.orcidId}${path}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        return JSON.parse(text);
+    }
+
+    /**
+     * Fetch every work: the summaries list the put-codes, and the bulk endpoint
+     * adds the contributor lists that summaries leave out
+     */
+    async fetchPublications() {
+        const works = await this.fetchJson('/works');
+        const putCodes = (works.group || [])
+            .map(group => (group['work-summary'] || [])[0])
+            .filter(summary => summary)
+            .map(summary => summary['put-code']);
+
+        const publications = [];
+        for (let i = 0; i < putCodes.length; i += this.bulkSize) {
+            const batch = putCodes.slice(i, i + this.bulkSize);
+            const details = await this.fetchJson(`/works/${batch.join(',')}`);
+
+            (details.bulk || []).forEach(entry => {
+                if (entry.work) {
+                    publications.push(this.mapWork(entry.work));
+                }
+            });
+        }
+        return publications;
+    }
+
+    /**
+     * Map an ORCID work to a publication record
+     */
+    mapWork(work) {
+        const value = field => (field && field.value !== undefined && field.value !== null ? String(field.value) : '');
+
+        const externalIds = (work['external-ids'] && work['external-ids']['external-id']) || [];
+        const doiId = externalIds.find(id => String(id['external-id-type']).toLowerCase() === 'doi');
+        const doi = doiId ? String(doiId['external-id-value']).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : '';
+
+        const contributors = (work.contributors && work.contributors.contributor) || [];
+        const authors = contributors
+            .map(contributor => value(contributor['credit-name']))
+            .filter(name => name.length > 0)
+            .join(', ');
+
+        const date = work['publication-date'] || {};
+        // Left empty without a DOI or URL, so another source's link to the paper wins the merge
+        const link = doi ? `https://doi.org/${doi}` : value(work.url);
+
+        const record = {
+            id: `orcid:${work['put-code']}`,
+            title: value(work.title && work.title.title) || 'Unknown Title',
+            authors: authors || 'Unknown Authors',
+            venue: value(work['journal-title']) || 'Unknown Venue',
+            year: value(date.year) || 'Unknown Year',
+            citations: null,   // ORCID does not track citations
+            link: link
+        };
+
+        if (doi) {
+            record.doi = doi;
+        }
+        return record;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrcidPublications;
+}
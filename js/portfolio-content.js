@@ -0,0 +1,194 @@
+/**
+ * Portfolio Content
+ * Renders the profile grid tiles and their modals from data/portfolio.json.
+ * "list" sections are written out item by item; "publications" and "grants"
+ * sections get a loading placeholder that their fetchers fill in when opened.
+ * tools/build-portfolio.js writes the result into index.html, so the page works
+ * without JavaScript. The fetchers find their modal by id, so the publications and
+ * grants sections keep the ids portfolioModal5 and portfolioModal2.
+ */
+
+class PortfolioContent {
+    /**
+     * Content file format version, bumped whenever the section shape changes
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Renderer for the body of each section type
+     */
+    static get TYPES() {
+        return {
+            list: section => PortfolioContent.renderList(section),
+            publications: section => PortfolioContent.renderPlaceholder(section),
+            grants: section => PortfolioContent.renderPlaceholder(section)
+        };
+    }
+
+    /**
+     * Check the content file and return its sections
+     */
+    static validate(content) {
+        if (!content || content.version !== PortfolioContent.VERSION || !Array.isArray(content.sections)) {
+            throw new Error(`Unsupported portfolio content version: ${content && content.version}`);
+        }
+
+        const ids = new Set();
+        const routes = new Set();
+        content.sections.forEach((section, index) => {
+            if (!section.id || ids.has(section.id)) {
+                throw new Error(`Section ${index} needs a unique id`);
+            }
+            if (section.route && (routes.has(section.route) || !/^[a-z0-9-]+$/.test(section.route))) {
+                throw new Error(`Section ${section.id} needs a unique lower-case route`);
+            }
+            if (!(section.type in PortfolioContent.TYPES)) {
+                throw new Error(`Section ${section.id} has an unknown type: ${section.type}`);
+            }
+            if (!section.tile || !section.tile.label || !section.tile.image) {
+                throw new Error(`Section ${section.id} needs a tile label and image`);
+            }
+            ids.add(section.id);
+            routes.add(section.route);
+        });
+        return content.sections;
+    }
+
+    /**
+     * Grid tile that opens the section's modal
+     */
+    static renderTile(section) {
+        const tile = section.tile;
+        return SafeHtml.html`
+            <div class="col-md-6 col-lg-4 mb-5">
+                <div class="portfolio-item mx-auto" data-toggle="modal" data-target="#${section.id}">
+                    <div class="portfolio-item-caption d-flex align-items-center justify-content-center h-100 w-100">
+                        <div class="portfolio-item-caption-content text-center text-white"><i class="fas fa-plus fa-3x"></i></div>
+                    </div><img class="img-fluid" src="${tile.image}" alt="${tile.alt || tile.label}"/>
+                    <div class="text-center"${PortfolioContent.i18n(section, 'label')}>${tile.label}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Modal for a section, with the body produced by its type's renderer.
+     * The route, if any, lets ModalRouter open it from a #/route link.
+     */
+    static renderModal(section) {
+        return SafeHtml.html`
+            <div class="portfolio-modal modal fade" id="${section.id}" tabindex="-1" role="dialog" aria-labelledby="#${section.id}Label" aria-hidden="true"${section.route ? SafeHtml.html` data-route="${section.route}"` : ''}>
+                <div class="modal-dialog modal-xl" role="document">
+                    <div class="modal-content">
+                        <button class="close" type="button" data-dismiss="modal" aria-label="Close"><span aria-hidden="true"><i class="fas fa-times"></i></span></button>
+                        <div class="modal-body text-center">
+                            <div class="container">
+                                <div class="row justify-content-center">
+                                    <div class="col-lg-8">
+                                        <!-- Portfolio Modal - Title-->
+                                        <h2 class="portfolio-modal-title text-secondary mb-0"${PortfolioContent.i18n(section, 'title')}>${section.title}</h2>
+                                        <!-- Icon Divider-->
+                                        <div class="divider-custom">
+                                            <div class="divider-custom-line"></div>
+                                            <div class="divider-custom-icon"><i class="fas fa-square"></i></div>
+                                            <div class="divider-custom-line"></div>
+                                        </div>
+                                        <!-- Portfolio Modal - Text-->
+                                        ${PortfolioContent.TYPES[section.type](section)}
+                                        <button class="btn btn-primary" href="#" data-dismiss="modal"><i class="fas fa-times fa-fw"></i><span data-i18n="modal.close">Close Window</span></button>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Items of a list section, with a heading whenever the item group changes
+     */
+    static renderList(section) {
+        let group = null;
+        const items = (section.items || []).map(item => {
+            const heading = item.group && item.group !== group ? SafeHtml.html`<h5 class="text-primary mb-3">${item.group}</h5>` : '';
+            group = item.group || null;
+            return SafeHtml.html`${heading}${PortfolioContent.renderItem(section, item)}`;
+        });
+
+        return SafeHtml.html`
+            <div class="mb-5 text-left">
+                ${items}
+            </div>
+        `;
+    }
+
+    /**
+     * One list item: the title (after its code, if any), then a line per field the item has
+     */
+    static renderItem(section, item) {
+        const lines = (section.fields || [])
+            .filter(field => item[field.key] !== undefined && item[field.key] !== null && item[field.key] !== '')
+            .map(field => PortfolioContent.renderField(section, field, item[field.key]));
+
+        const title = item.code
+            ? SafeHtml.html`<strong>${item.code}</strong> - ${item.title}`
+            : SafeHtml.html`<strong>${item.title}</strong>`;
+
+        return SafeHtml.html`
+            <div class="${section.itemClass || 'portfolio-list-item'} mb-${section.spacing || 3} p-3 border-left border-${item.accent || 'primary'}">
+                ${title}${lines.map(line => SafeHtml.html`<br>
+                ${line}`)}
+            </div>
+        `;
+    }
+
+    /**
+     * A field line, either small coloured text or a badge. The value is a string or
+     * { text, href, color } to link it or to override the field's badge colour.
+     */
+    static renderField(section, field, value) {
+        const entry = typeof value === 'object' ? value : { text: String(value) };
+        const text = field.link
+            ? SafeHtml.html`<a href="${SafeHtml.url(entry.href || entry.text)}" target="_blank">${entry.text}</a>`
+            : entry.text;
+        const content = field.label
+            ? SafeHtml.html`<span${PortfolioContent.i18n(section, field.key)}>${field.label}</span>: ${text}`
+            : SafeHtml.html`${text}`;
+
+        return field.badge
+            ? SafeHtml.html`<small class="badge badge-${entry.color || field.badge}">${content}</small>`
+            : SafeHtml.html`<small class="text-${field.style || 'muted'}">${content}</small>`;
+    }
+
+    /**
+     * data-i18n attribute naming one of the section's messages, e.g. portfolio.grants.title,
+     * so I18n can translate it (nothing for sections without a route)
+     */
+    static i18n(section, name) {
+        return section.route ? SafeHtml.html` data-i18n="portfolio.${section.route}.${name}"` : '';
+    }
+
+    /**
+     * Loading state shown until the section's fetcher renders into p.mb-5.text-left
+     */
+    static renderPlaceholder(section) {
+        return SafeHtml.html`
+            <p class="mb-5 text-left">
+                <div class="text-center">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="sr-only" data-i18n="common.loading">Loading...</span>
+                    </div>
+                    <p class="mt-2"${PortfolioContent.i18n(section, 'loading')}>${section.loading || 'Loading...'}</p>
+                </div>
+            </p>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioContent;
+}
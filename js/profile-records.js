@@ -0,0 +1,47 @@
+/**
+ * Profile Records
+ * Gives views built on top of the publications and grants (the CV, the co-author
+ * network) the best records available without scraping again: what the modal has
+ * loaded, then the copy saved by DataCache, then the bundled snapshot
+ */
+
+class ProfileRecords {
+    /**
+     * For each kind of record: the fetcher's window global and property, its DataCache key,
+     * and its snapshot file and record key
+     */
+    static get SOURCES() {
+        return {
+            publications: { global: 'scholarPublications', property: 'publications', cache: 'publications', snapshot: 'data/publications.json', key: 'publications' },
+            grants: { global: 'expertResearchGrants', property: 'researchGrants', cache: 'grants', snapshot: 'data/grants.json', key: 'researchGrants' }
+        };
+    }
+
+    /**
+     * Records of one kind ('publications' or 'grants'), or an empty list when none can be loaded
+     */
+    static async load(name) {
+        const source = ProfileRecords.SOURCES[name];
+        const fetcher = window[source.global];
+        if (fetcher && fetcher[source.property].length > 0) {
+            return fetcher[source.property];
+        }
+
+        const cached = new DataCache(source.cache).read();
+        if (cached && cached.records.length > 0) {
+            return cached.records;
+        }
+
+        try {
+            const snapshot = await DataSnapshot.load(source.snapshot, source.key);
+            return snapshot[source.key];
+        } catch (error) {
+            console.error(`Error loading ${name}:`, error);
+            return [];
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileRecords;
+}
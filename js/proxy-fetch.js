@@ -0,0 +1,120 @@
+/**
+ * Proxy Fetcher
+ * Fetches third-party pages through an ordered chain of CORS proxies, with a
+ * timeout on every attempt and exponential backoff between rounds
+ */
+
+class ProxyFetcher {
+    /**
+     * Options: proxies ({ name, url } list, tried in order), timeout (ms per attempt),
+     * retries (extra rounds over the whole chain) and backoff (ms before the first retry)
+     */
+    constructor(options = {}) {
+        this.proxies = options.proxies || ProxyFetcher.defaultProxies();
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.backoff = options.backoff !== undefined ? options.backoff : 1000;
+        this.lastReport = null;
+    }
+
+    /**
+     * Default chain: the self-hosted proxy from <meta name="cors-proxy"> if set, then public ones.
+     * A proxy url may contain {url} for the encoded target, otherwise the target is appended.
+     * A proxy with no url fetches the target directly.
+     */
+    static defaultProxies() {
+        const proxies = [];
+        const meta = typeof document !== 'undefined' && document.querySelector('meta[name="cors-proxy"]');
+
+        if (meta && meta.content) {
+            proxies.push({ name: 'self-hosted', url: meta.content });
+        }
+
+        proxies.push(
+            { name: 'allorigins', url: 'https://api.allorigins.win/raw?url={url}' },
+            { name: 'corsproxy.io', url: 'https://corsproxy.io/?url={url}' }
+        );
+        return proxies;
+    }
+
+    /**
+     * Build the request URL for a target behind a proxy
+     */
+    buildUrl(proxy, targetUrl) {
+        if (!proxy.url) return targetUrl;
+
+        const encoded = encodeURIComponent(targetUrl);
+        return proxy.url.includes('{url}') ? proxy.url.replace('{url}', encoded) : proxy.url + encoded;
+    }
+
+    /**
+     * Single attempt, aborted when it takes longer than the timeout. Resolves to { text, cachedAt },
+     * where cachedAt is set when the service worker answered from its cache because the network failed.
+     */
+    async fetchWithTimeout(url, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            // Read the body before clearing the timer so a stalled body also aborts
+            return { text: await response.text(), cachedAt: response.headers.get('X-SW-Cached-At') };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Timed out after ${this.timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Fetch a target URL as text, walking the proxy chain until one succeeds.
+     * The outcome of every attempt is kept in lastReport, including which proxy worked
+     * and, for a response the service worker saved earlier, when it was saved (cachedAt).
+     */
+    async fetchText(targetUrl, options = {}) {
+        const started = Date.now();
+        const attempts = [];
+
+        for (let round = 0; round <= this.retries; round++) {
+            if (round > 0) {
+                await this.sleep(this.backoff * 2 ** (round - 1));
+            }
+
+            for (const proxy of this.proxies) {
+                const attemptStarted = Date.now();
+
+                try {
+                    const { text, cachedAt } = await this.fetchWithTimeout(this.buildUrl(proxy, targetUrl), options);
+                    attempts.push({ proxy: proxy.name, round, ok: true, ms: Date.now() - attemptStarted });
+                    this.lastReport = { url: targetUrl, proxy: proxy.name, attempts, ms: Date.now() - started, cachedAt: cachedAt };
+                    return text;
+                } catch (error) {
+                    attempts.push({ proxy: proxy.name, round, ok: false, error: error.message, ms: Date.now() - attemptStarted });
+                }
+            }
+        }
+
+        this.lastReport = { url: targetUrl, proxy: null, attempts, ms: Date.now() - started, cachedAt: null };
+        const lastError = attempts.length > 0 ? attempts[attempts.length - 1].error : 'no proxies configured';
+        throw new Error(`All proxies failed for ${targetUrl} (last error: ${lastError})`);
+    }
+
+    /**
+     * Wait between retry rounds
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProxyFetcher;
+}
@@ -0,0 +1,142 @@
+/**
+ * Publication Field Helpers
+ * Parses the loosely formatted author and venue strings found in Scholar rows
+ * and the bundled data into structured values
+ */
+
+class PublicationFields {
+    /**
+     * Split an author string into { family, given, initials } names.
+     * Handles "M. A. M. Ariffin, and Z. Kasiran", "Ariffin, M., Ramli, M., & Jamil, N.",
+     * "Rashid, A.A., Ariffin, M.A.M.", Scholar's "MAM Ariffin" and full upper-case names.
+     * "et al." entries are dropped and reported through the etAl flag on the returned list.
+     */
+    static parseAuthors(authors) {
+        const names = [];
+        names.etAl = false;
+        if (!authors) return names;
+
+        const tokens = String(authors)
+            .replace(/(\.\.\.|…)\s*$/, '')
+            .replace(/\s*&\s*/g, ', ')
+            .replace(/,?\s+and\s+/gi, ', ')
+            .split(',')
+            .map(token => token.trim())
+            .filter(token => token.length > 0)
+            .filter(token => {
+                if (/^et\.?\s*al\.?$/i.test(token)) {
+                    names.etAl = true;
+                    return false;
+                }
+                return true;
+            });
+
+        const isInitials = token => /^([A-Z]\.\s*-?)+$/.test(token) || /^[A-Z]{1,2}$/.test(token);
+
+        // "Family, I." pairs: every second token is a block of initials
+        const familyFirst = tokens.length >= 2 && tokens.length % 2 === 0 &&
+            tokens.every((token, i) => (i % 2 === 1) === isInitials(token));
+
+        if (familyFirst) {
+            for (let i = 0; i < tokens.length; i += 2) {
+                names.push(PublicationFields.buildName(tokens[i], tokens[i + 1]));
+            }
+            return names;
+        }
+
+        tokens.forEach(token => {
+            const words = token.split(/\s+/);
+            // A lone block of initials (e.g. the "M." left over from "Et. al., M.") is not a name
+            if (words.length < 2) {
+                if (!isInitials(token)) names.push(PublicationFields.buildName(token, ''));
+                return;
+            }
+            names.push(PublicationFields.buildName(words[words.length - 1], words.slice(0, -1).join(' ')));
+        });
+        return names;
+    }
+
+    /**
+     * Build a name, tidying upper-case input and working out the initials
+     */
+    static buildName(family, given) {
+        const particles = ['bin', 'binti', 'bt', 'bte', 'b.', 'bt.'];
+        const titleCase = word => word === word.toUpperCase() && word.length > 2
+            ? word.charAt(0) + word.slice(1).toLowerCase()
+            : word;
+
+        const givenWords = given.split(/\s+/).filter(word => word.length > 0);
+        const initials = [];
+        // In an all upper-case name ("ADI RIDZAN ADNAN") short words are names, not initials
+        const isUpperCaseName = family.length > 2 && family === family.toUpperCase();
+
+        givenWords.forEach(word => {
+            if (particles.includes(word.toLowerCase())) return;
+
+            const compact = word.replace(/[.\-]/g, '');
+            // "MYI" or "M.A.M." style blocks are initials already
+            if (/^[A-Z]{1,4}$/.test(compact) && (word.includes('.') || (compact.length <= 3 && !isUpperCaseName))) {
+                initials.push(...compact.split(''));
+            } else {
+                initials.push(word.charAt(0).toUpperCase());
+            }
+        });
+
+        const isInitialsOnly = !isUpperCaseName &&
+            givenWords.every(word => /^[A-Z.\-]+$/.test(word) && word.replace(/[.\-]/g, '').length <= 4);
+
+        return {
+            family: family.split('-').map(titleCase).join('-'),
+            given: isInitialsOnly ? initials.map(initial => `${initial}.`).join(' ') : givenWords.map(titleCase).join(' '),
+            initials: initials
+        };
+    }
+
+    /**
+     * Format one parsed name, e.g. 'initials-first' -> "M. A. M. Ariffin",
+     * 'family-initials' -> "Ariffin, M. A. M.", 'family-given' -> "Ariffin, Muhammad Azizi"
+     */
+    static formatName(name, style) {
+        const initials = name.initials.map(initial => `${initial}.`).join(' ');
+
+        switch (style) {
+            case 'family-initials':
+                return initials ? `${name.family}, ${initials}` : name.family;
+            case 'family-given':
+                return name.given ? `${name.family}, ${name.given}` : name.family;
+            default:
+                return initials ? `${initials} ${name.family}` : name.family;
+        }
+    }
+
+    /**
+     * Matching key for a person: lower-case family name plus first initial
+     */
+    static nameKey(name) {
+        const family = name.family.toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+        return name.initials.length > 0 ? `${family} ${name.initials[0].toLowerCase()}` : family;
+    }
+
+    /**
+     * Split a venue into its name and whether it is a journal or a conference.
+     * Scholar appends volume, issue, pages and year ("Journal X 9 (1), 10-15, 2020"); those are trimmed.
+     */
+    static parseVenue(venue) {
+        const text = String(venue || '').trim();
+        const name = text
+            .replace(/,\s*(19|20)\d{2}\s*$/, '')
+            .replace(/\s+\d+\s*(\([^)]*\)\s*(,\s*[\w\-–]+)?|,\s*[\w\-–]+)\s*$/, '')
+            .trim();
+
+        const isConference = /(conference|proceedings|symposium|workshop|congress|convention|colloquium|\bconf\b|\bproc\b|innovation, design)/i.test(text);
+
+        return {
+            name: name || text,
+            type: isConference ? 'conference' : 'journal'
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublicationFields;
+}
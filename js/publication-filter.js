@@ -0,0 +1,136 @@
+/**
+ * Publication Filter
+ * Search, year range, venue type and sort order for the publications list,
+ * kept in the page URL so a filtered view can be shared. Under a hash route
+ * (#/publications?q=...) they live in the hash; otherwise in the query string.
+ */
+
+class PublicationFilter {
+    /**
+     * URL query parameter for each filter field
+     */
+    static get PARAMS() {
+        return { q: 'q', from: 'from', to: 'to', type: 'venue', sort: 'sort' };
+    }
+
+    /**
+     * Filter state with nothing applied
+     */
+    static empty() {
+        return { q: '', from: '', to: '', type: '', sort: '' };
+    }
+
+    /**
+     * Whether any filter or sort order is applied
+     */
+    static isActive(filters) {
+        return Object.keys(PublicationFilter.empty()).some(field => filters[field]);
+    }
+
+    /**
+     * Return the publications matching the filters, in the requested order
+     */
+    static apply(publications, filters) {
+        const terms = filters.q.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+        const from = parseInt(filters.from, 10);
+        const to = parseInt(filters.to, 10);
+
+        const matches = publications.filter(pub => {
+            const haystack = `${pub.title} ${pub.authors} ${pub.venue}`.toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return false;
+
+            const year = parseInt(pub.year, 10);
+            if (!isNaN(from) && !(year >= from)) return false;
+            if (!isNaN(to) && !(year <= to)) return false;
+
+            return !filters.type || PublicationFields.parseVenue(pub.venue).type === filters.type;
+        });
+
+        const number = value => parseInt(value, 10) || 0;
+        switch (filters.sort) {
+            case 'year':
+                return matches.sort((a, b) => number(b.year) - number(a.year));
+            case 'citations':
+                return matches.sort((a, b) => number(b.citations) - number(a.citations));
+            case 'title':
+                return matches.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+            default:
+                return matches;
+        }
+    }
+
+    /**
+     * Read filter state from a query string such as location.search
+     */
+    static fromQuery(search) {
+        const params = new URLSearchParams(search);
+        const filters = PublicationFilter.empty();
+
+        Object.entries(PublicationFilter.PARAMS).forEach(([field, param]) => {
+            filters[field] = params.get(param) || '';
+        });
+        return filters;
+    }
+
+    /**
+     * Read filter state from a full URL: the query string, overridden by the
+     * parameters of a hash route such as #/publications?from=2020
+     */
+    static fromUrl(href) {
+        const url = new URL(href);
+        const filters = PublicationFilter.fromQuery(url.search);
+        const hashQuery = PublicationFilter.hashQuery(url);
+
+        if (hashQuery !== null) {
+            const params = new URLSearchParams(hashQuery);
+            Object.entries(PublicationFilter.PARAMS).forEach(([field, param]) => {
+                if (params.has(param)) {
+                    filters[field] = params.get(param);
+                }
+            });
+        }
+        return filters;
+    }
+
+    /**
+     * Write filter state into a URL, dropping parameters that are not set.
+     * With a hash route the filters go into its parameters and leave the query string.
+     */
+    static toUrl(filters, href) {
+        const url = new URL(href);
+        const hashQuery = PublicationFilter.hashQuery(url);
+        const params = new URLSearchParams(hashQuery || '');
+
+        // Parameters are only deleted when present, so an address without filters is left as written
+        Object.entries(PublicationFilter.PARAMS).forEach(([field, param]) => {
+            if (hashQuery !== null && url.searchParams.has(param)) {
+                url.searchParams.delete(param);
+            }
+            const target = hashQuery !== null ? params : url.searchParams;
+            if (filters[field]) {
+                target.set(param, filters[field]);
+            } else if (target.has(param)) {
+                target.delete(param);
+            }
+        });
+
+        if (hashQuery !== null) {
+            const query = params.toString();
+            url.hash = url.hash.replace(/\?.*$/, '') + (query ? `?${query}` : '');
+        }
+        return url.toString();
+    }
+
+    /**
+     * Parameter string of a hash route ("#/route?a=1" gives "a=1", "#/route" gives ""),
+     * or null when the URL has no hash route
+     */
+    static hashQuery(url) {
+        const match = /^#\/[^?]*(?:\?(.*))?$/.exec(url.hash);
+        return match ? match[1] || '' : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublicationFilter;
+}
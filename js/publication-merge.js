@@ -0,0 +1,171 @@
+/**
+ * Publication Merger
+ * Deduplicates publications gathered from several sources (Google Scholar, ORCID,
+ * the bundled list) and merges each group of duplicates into one record
+ */
+
+class PublicationMerger {
+    /**
+     * Placeholder values the parsers use for missing fields
+     */
+    static isMissing(value) {
+        return value === null || value === undefined || value === '' || value === '#' || /^Unknown (Title|Authors|Venue|Year)$/.test(value);
+    }
+
+    /**
+     * Lower-case, accent-free title with punctuation collapsed, e.g.
+     * "Implementation Of Dynamic Honeypot On Raspberry Pi" -> "implementation of dynamic honeypot on raspberry pi"
+     */
+    static normalizeTitle(title) {
+        return String(title || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/(\.\.\.|…)\s*$/, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Dice coefficient between the word sets of two normalised titles (0 to 1)
+     */
+    static titleSimilarity(a, b) {
+        const wordsA = new Set(a.split(' ').filter(word => word));
+        const wordsB = new Set(b.split(' ').filter(word => word));
+        if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+        const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+        return (2 * shared) / (wordsA.size + wordsB.size);
+    }
+
+    /**
+     * Whether two titles name the same paper, allowing for truncation and small edits
+     */
+    static titlesMatch(a, b) {
+        if (PublicationMerger.isMissing(a) || PublicationMerger.isMissing(b)) return false;
+
+        const titleA = PublicationMerger.normalizeTitle(a);
+        const titleB = PublicationMerger.normalizeTitle(b);
+        if (!titleA || !titleB) return false;
+        if (titleA === titleB) return true;
+
+        // Scholar cuts long titles short, so a long enough prefix counts as a match
+        const [shorter, longer] = titleA.length < titleB.length ? [titleA, titleB] : [titleB, titleA];
+        if (shorter.length >= 40 && longer.startsWith(shorter)) return true;
+
+        return PublicationMerger.titleSimilarity(titleA, titleB) >= 0.9;
+    }
+
+    /**
+     * Years match when either is unknown or they are at most a year apart
+     * (online-first and issue years often differ)
+     */
+    static yearsMatch(a, b) {
+        const yearA = parseInt(a, 10);
+        const yearB = parseInt(b, 10);
+        return isNaN(yearA) || isNaN(yearB) || Math.abs(yearA - yearB) <= 1;
+    }
+
+    /**
+     * First authors match when either list is unknown or one's first family name
+     * appears in the other list (sources disagree on name order and initials)
+     */
+    static firstAuthorsMatch(a, b) {
+        if (PublicationMerger.isMissing(a) || PublicationMerger.isMissing(b)) return true;
+
+        const words = authors => new Set(String(authors).toLowerCase().split(/[^a-z\u00c0-\u024f]+/).filter(word => word));
+        const firstFamily = authors => {
+            const first = PublicationFields.parseAuthors(authors)[0];
+            return first ? first.family.toLowerCase() : '';
+        };
+
+        const familyA = firstFamily(a);
+        const familyB = firstFamily(b);
+        if (!familyA || !familyB) return true;
+
+        return familyA === familyB || words(b).has(familyA) || words(a).has(familyB);
+    }
+
+    /**
+     * Whether two publication records describe the same paper
+     */
+    static isDuplicate(a, b) {
+        if (a.doi && b.doi) {
+            return a.doi.toLowerCase() === b.doi.toLowerCase();
+        }
+        return PublicationMerger.titlesMatch(a.title, b.title) &&
+            PublicationMerger.yearsMatch(a.year, b.year) &&
+            PublicationMerger.firstAuthorsMatch(a.authors, b.authors);
+    }
+
+    /**
+     * Merge lists from several sources, given as [{ source, records }] in priority order.
+     * Records keep the order they first appear in; each gets a sources list naming who contributed.
+     */
+    static merge(lists) {
+        const groups = [];
+        const order = lists.map(list => list.source);
+
+        lists.forEach(({ source, records }) => {
+            records.forEach(record => {
+                const entry = { source: source, record: record };
+                const group = groups.find(candidates => candidates.some(candidate => PublicationMerger.isDuplicate(candidate.record, record)));
+
+                if (group) {
+                    group.push(entry);
+                } else {
+                    groups.push([entry]);
+                }
+            });
+        });
+
+        return groups.map(group => PublicationMerger.combine(group, order));
+    }
+
+    /**
+     * Combine one group of duplicates field by field: each field comes from the earliest source
+     * in order that has it, except that a title Scholar cut short gives way to a complete one
+     */
+    static combine(group, order) {
+        const truncated = value => /(\.\.\.|…)\s*$/.test(String(value));
+        const rank = (entry, field) => (field === 'title' && truncated(entry.record.title) ? order.length : 0) + order.indexOf(entry.source);
+        const pick = field => {
+            const candidates = group
+                .filter(entry => !PublicationMerger.isMissing(entry.record[field]))
+                .sort((a, b) => rank(a, field) - rank(b, field));
+            return candidates.length > 0 ? candidates[0].record[field] : group[0].record[field];
+        };
+
+        // Citation counts differ by index; the highest one wins
+        const counts = group
+            .map(entry => entry.record.citations)
+            .filter(count => count !== null && count !== undefined);
+        const doi = group.map(entry => entry.record.doi).find(value => value);
+
+        const merged = {
+            id: group[0].record.id,   // The highest-priority source keeps its ID, so selections stay stable
+            title: pick('title'),
+            authors: pick('authors'),
+            venue: pick('venue'),
+            year: pick('year'),
+            citations: counts.length > 0 ? String(Math.max(...counts.map(count => parseInt(count, 10) || 0))) : null,
+            link: pick('link'),
+            sources: Array.from(new Set(group.map(entry => entry.source)))
+        };
+
+        if (doi) {
+            merged.doi = doi;
+        }
+
+        // Scholar's citation ID finds the view_citation page even when another source's ID was kept
+        const scholar = group.find(entry => entry.source === 'scholar');
+        if (scholar && scholar.record.id !== merged.id) {
+            merged.scholarId = scholar.record.id;
+        }
+        return merged;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublicationMerger;
+}
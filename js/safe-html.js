@@ -0,0 +1,87 @@
+/**
+ * Safe HTML
+ * Markup builder for content scraped from third-party pages: every value placed
+ * in a SafeHtml.html template is escaped unless it is itself SafeHtml, and links
+ * only keep http, https and DOI URLs
+ */
+
+class SafeHtml {
+    /**
+     * Wrap markup that is already safe. Use SafeHtml.html or SafeHtml.raw to create one.
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    /**
+     * The markup, so a SafeHtml value can be assigned to innerHTML directly
+     */
+    toString() {
+        return this.markup;
+    }
+
+    /**
+     * Template tag: SafeHtml.html`<b>${title}</b>` escapes title. Nested SafeHtml values
+     * and arrays of them are inserted as they are; null, undefined and false render nothing.
+     */
+    static html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += SafeHtml.render(value) + strings[index + 1];
+        });
+        return new SafeHtml(markup);
+    }
+
+    /**
+     * Markup for one interpolated value
+     */
+    static render(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHtml.render(item)).join('');
+        return SafeHtml.escape(value);
+    }
+
+    /**
+     * Mark a string written by this site (never scraped text) as markup
+     */
+    static raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    /**
+     * Escape text for use in element content or a quoted attribute
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * A link target that is safe to put in href: http and https URLs as they are,
+     * DOIs ("10.1000/xyz" or "doi:10.1000/xyz") as resolver links, and '#' for anything else
+     */
+    static url(value) {
+        const text = String(value || '').trim();
+
+        const doi = /^(?:doi:\s*)?(10\.\d{4,9}\/\S+)$/i.exec(text);
+        if (doi) {
+            return `https://doi.org/${doi[1]}`;
+        }
+
+        try {
+            const url = new URL(text);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '#';
+        } catch (error) {
+            return '#';
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHtml;
+}
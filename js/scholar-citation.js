@@ -0,0 +1,205 @@
+/**
+ * Scholar Citation Details
+ * Fetches a publication's Google Scholar view_citation page on demand, through the
+ * same CORS proxies as the profile, and parses the full title, complete author list,
+ * abstract, publication date, publisher, citations per year and PDF link. Details are
+ * kept in memory and in a DataCache entry per publication ID, so opening an entry
+ * again is instant, also on later visits.
+ */
+
+class ScholarCitationDetails {
+    /**
+     * Options: proxyFetcher (share the profile's), cache and cacheTtl (ms, default 30 days)
+     */
+    constructor(options = {}) {
+        this.proxyFetcher = options.proxyFetcher || new ProxyFetcher();
+        this.cache = options.cache || new DataCache('scholar-citations', { ttl: options.cacheTtl || 30 * 24 * 60 * 60 * 1000 });
+        this.details = new Map();   // Publication ID -> parsed details, for this visit
+        this.pending = new Map();   // Publication ID -> request in flight, so double clicks fetch once
+    }
+
+    /**
+     * Labels of the view_citation field table (fetched with hl=en) and the detail each fills in
+     */
+    static get FIELDS() {
+        return {
+            'authors': 'authors',
+            'inventors': 'authors',
+            'publication date': 'date',
+            'journal': 'venue',
+            'conference': 'venue',
+            'book': 'venue',
+            'source': 'venue',
+            'publisher': 'publisher',
+            'description': 'abstract'
+        };
+    }
+
+    /**
+     * The view_citation URL of a publication: its Scholar link, or one built from its Scholar
+     * citation ID ("user:paper", kept in scholarId when the merge kept another source's ID);
+     * null for records Scholar does not know (e.g. ORCID-only)
+     */
+    static citationUrl(pub) {
+        if (/^https:\/\/scholar\.google\.[a-z.]+\/citations\?.*citation_for_view=/.test(pub.link || '')) {
+            const url = new URL(pub.link);
+            url.searchParams.set('hl', 'en');
+            return url.toString();
+        }
+
+        const id = String(pub.scholarId || pub.id || '');
+        const match = /^([\w-]+):[\w-]+$/.exec(id);
+        if (!match) return null;
+
+        const params = new URLSearchParams({ view_op: 'view_citation', hl: 'en', user: match[1], citation_for_view: id });
+        return `https://scholar.google.com/citations?${params.toString()}`;
+    }
+
+    /**
+     * Parse a view_citation page into { title, link, pdf, authors, date, venue, publisher,
+     * abstract, citationsPerYear }. Throws when the page has no citation in it, which
+     * usually means Scholar served a captcha instead.
+     */
+    static parse(html, pageUrl) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const title = doc.querySelector('#gsc_oci_title');
+        const rows = doc.querySelectorAll('#gsc_oci_table .gs_scl');
+        if (!title || rows.length === 0) {
+            throw new Error('No citation details found on the page');
+        }
+
+        const resolve = element => {
+            const href = element && element.getAttribute('href');
+            return href ? SafeHtml.url(new URL(href, pageUrl).toString()) : null;
+        };
+        const titleLink = resolve(title.querySelector('a'));
+        const pdfLink = resolve(doc.querySelector('#gsc_oci_title_gg a'));
+
+        const details = {
+            title: title.textContent.replace(/\s+/g, ' ').trim(),
+            link: titleLink !== '#' ? titleLink : null,
+            pdf: pdfLink !== '#' ? pdfLink : null,
+            authors: [],
+            date: '',
+            venue: '',
+            publisher: '',
+            abstract: '',
+            citationsPerYear: []
+        };
+
+        rows.forEach(row => {
+            const label = row.querySelector('.gsc_oci_field');
+            const value = row.querySelector('.gsc_oci_value');
+            const field = label && value ? ScholarCitationDetails.FIELDS[label.textContent.trim().toLowerCase()] : null;
+            if (!field || details[field].length > 0) return;
+
+            const text = value.textContent.replace(/\s+/g, ' ').trim();
+            details[field] = field === 'authors'
+                ? text.split(',').map(name => name.trim()).filter(name => name.length > 0)
+                : text;
+        });
+
+        // As on the profile page, years without citations have no bar, so each bar is
+        // matched to its year through as_ylo, or through its z-index counted from the right
+        const years = Array.from(doc.querySelectorAll('.gsc_oci_g_t')).map(span => parseInt(span.textContent, 10));
+        const counts = {};
+        doc.querySelectorAll('.gsc_oci_g_a').forEach(bar => {
+            const yearMatch = /as_ylo=(\d{4})/.exec(bar.getAttribute('href') || '');
+            const zIndex = parseInt(bar.style.zIndex, 10);
+            const year = yearMatch ? parseInt(yearMatch[1], 10) : years[years.length - zIndex];
+            if (year) {
+                counts[year] = parseInt((bar.querySelector('.gsc_oci_g_al') || bar).textContent.replace(/[^\d]/g, ''), 10) || 0;
+            }
+        });
+        details.citationsPerYear = years.map(year => ({ year: year, count: counts[year] || 0 }));
+
+        return details;
+    }
+
+    /**
+     * Details already loaded for a publication, from memory or the cache, or null
+     */
+    cached(pub) {
+        if (this.details.has(pub.id)) {
+            return this.details.get(pub.id);
+        }
+
+        const entry = this.cache.read();
+        const record = entry && entry.records.find(saved => saved.id === pub.id);
+        if (record && Date.now() - new Date(record.savedAt).getTime() <= this.cache.ttl) {
+            this.details.set(pub.id, record.details);
+            return record.details;
+        }
+        return null;
+    }
+
+    /**
+     * Details for a publication: cached, or fetched and parsed from its view_citation page
+     */
+    async load(pub) {
+        const cached = this.cached(pub);
+        if (cached) return cached;
+
+        if (this.pending.has(pub.id)) {
+            return this.pending.get(pub.id);
+        }
+
+        const url = ScholarCitationDetails.citationUrl(pub);
+        if (!url) {
+            throw new Error('This publication has no Google Scholar citation page');
+        }
+
+        const request = this.proxyFetcher.fetchText(url)
+            .then(html => {
+                const details = ScholarCitationDetails.parse(html, url);
+                this.details.set(pub.id, details);
+                this.save(pub.id, details);
+                return details;
+            })
+            .finally(() => this.pending.delete(pub.id));
+        this.pending.set(pub.id, request);
+        return request;
+    }
+
+    /**
+     * Add or replace one publication's details in the cache entry
+     */
+    save(id, details) {
+        const entry = this.cache.read();
+        const records = (entry ? entry.records : []).filter(record => record.id !== id);
+        records.push({ id: id, savedAt: new Date().toISOString(), details: details });
+        this.cache.write({ source: 'scholar', records: records });
+    }
+
+    /**
+     * Details panel: full title, authors, date, venue, publisher, abstract, citations per year and links
+     */
+    static render(details) {
+        const facts = [
+            { label: I18n.t('publications.detail.date'), value: details.date },
+            { label: I18n.t('publications.detail.venue'), value: details.venue },
+            { label: I18n.t('publications.detail.publisher'), value: details.publisher }
+        ].filter(fact => fact.value);
+
+        const chart = details.citationsPerYear.length > 0 ? SafeHtml.html`
+            <small class="text-muted d-block">${I18n.t('metrics.citationsPerYear')}</small>
+            ${SvgCharts.barChart(details.citationsPerYear.map(point => ({ label: String(point.year), value: point.count })), { title: I18n.t('metrics.citationsPerYear'), height: 120 })}
+        ` : '';
+
+        return SafeHtml.html`
+            <div class="publication-details-body small mt-2 p-2 bg-light rounded">
+                <strong class="d-block mb-1">${details.title}</strong>
+                ${details.authors.length > 0 ? SafeHtml.html`<div><span class="text-muted">${I18n.t('publications.detail.authors')}:</span> ${details.authors.join(', ')}</div>` : ''}
+                ${facts.map(fact => SafeHtml.html`<div><span class="text-muted">${fact.label}:</span> ${fact.value}</div>`)}
+                ${details.abstract ? SafeHtml.html`<p class="mt-2 mb-2">${details.abstract}</p>` : ''}
+                ${chart}
+                ${details.pdf ? SafeHtml.html`<a href="${details.pdf}" target="_blank" rel="noopener" class="btn btn-sm btn-outline-primary mr-2"><i class="fas fa-file-pdf"></i> ${I18n.t('publications.detail.pdf')}</a>` : ''}
+                ${details.link ? SafeHtml.html`<a href="${details.link}" target="_blank" rel="noopener" class="btn btn-sm btn-outline-secondary"><i class="fas fa-external-link-alt"></i> ${I18n.t('publications.detail.publisherPage')}</a>` : ''}
+            </div>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScholarCitationDetails;
+}
@@ -4,57 +4,402 @@
  */
 
 class ScholarPublications {
-    constructor() {
+    constructor(options = {}) {
         this.scholarUrl = 'https://scholar.google.com/citations?user=EygguTUAAAAJ&hl=en';
+        this.snapshotUrl = options.snapshotUrl || 'data/publications.json';
+        this.liveRefresh = options.liveRefresh || false;
+        this.proxyFetcher = options.proxyFetcher || new ProxyFetcher();
+        this.orcid = options.orcid || new OrcidPublications(options.orcidOptions);
+        this.crossref = options.crossref || new CrossrefEnricher(options.crossrefOptions);
+        this.sources = options.sources || ScholarPublications.defaultSources();   // In priority order
+        this.mergeSources = options.mergeSources !== undefined ? options.mergeSources : ScholarPublications.defaultMergeSources();
+        this.cache = options.cache || new DataCache('publications', { ttl: options.cacheTtl });
+        this.fetchReport = null;
+        this.lastParse = null;   // Selector, row counts and field hits of the last parsed page
+        this.diagnostics = null;   // Record of the last live fetch, see ScrapeDiagnostics
+        this.debug = options.debug || false;   // Show the diagnostics overlay after every load
+        this.pageSize = 100;   // Largest page Scholar will serve
+        this.maxPages = 20;
         this.publications = [];
+        this.metrics = null;   // Scholar's citation totals, h-index, i10-index and histogram
+        this.selectedIds = new Set();   // Publications ticked for export
+        this.citationDetails = options.citationDetails || new ScholarCitationDetails({ proxyFetcher: this.proxyFetcher });
+        this.expandedIds = new Set();   // Publications whose details are open
+        this.citationStyle = this.loadCitationStyle();
+        this.filters = options.filters || PublicationFilter.empty();
+        this.provenance = null;   // { kind: 'live' | 'cached' | 'bundled' | 'offline', updatedAt, source }
         this.isLoading = false;
     }
 
+    /**
+     * Source order from <meta name="publication-sources"> (e.g. "orcid,scholar"),
+     * defaulting to Google Scholar first with ORCID second. Later sources are only asked
+     * when the earlier ones fail, unless sources are merged; then earlier sources win merge ties.
+     */
+    static defaultSources() {
+        const meta = typeof document !== 'undefined' && document.querySelector('meta[name="publication-sources"]');
+        const sources = meta && meta.content
+            ? meta.content.split(',').map(source => source.trim()).filter(source => source in ScholarPublications.SOURCES)
+            : [];
+        return sources.length > 0 ? sources : ['scholar', 'orcid'];
+    }
+
+    /**
+     * Whether <meta name="publication-merge"> is "merge": every source is asked on each live fetch
+     * and their records are merged with the bundled snapshot, instead of stopping at the first
+     * source that answers
+     */
+    static defaultMergeSources() {
+        const meta = typeof document !== 'undefined' && document.querySelector('meta[name="publication-merge"]');
+        return Boolean(meta && meta.content.trim() === 'merge');
+    }
+
+    /**
+     * Display name of each publication source
+     */
+    static get SOURCES() {
+        return { scholar: 'Google Scholar', orcid: 'ORCID' };
+    }
+
     /**
      * Initialize the publications fetcher
+     * Shows the cached copy (or the bundled snapshot) straight away, then scrapes
+     * live in the background when the cache has expired or a live refresh was asked for
      */
     async init() {
         try {
-            await this.fetchPublications();
-            this.displayPublications();
+            this.showLoadingState();
+
+            const cached = this.cache.read();
+            if (cached) {
+                this.publications = cached.records;
+                this.metrics = cached.metrics || null;
+                this.provenance = { kind: 'cached', updatedAt: cached.savedAt, source: cached.source };
+            } else {
+                await this.loadSnapshot();
+            }
+
+            if (this.publications.length > 0) {
+                this.displayPublications();
+            }
+
+            if (this.liveRefresh || this.publications.length === 0 || (cached && this.cache.isExpired(cached))) {
+                await this.fetchPublications();
+
+                if (this.publications.length === 0) {
+                    throw new Error('No publication data available');
+                }
+                this.displayPublications();
+            } else {
+                this.diagnostics = ScrapeDiagnostics.skipped(cached
+                    ? `No live fetch: the cached copy from ${cached.savedAt} has not expired`
+                    : 'No live fetch: the bundled snapshot is shown until one is asked for with ?live');
+            }
+
+            await this.enrichPublications();
         } catch (error) {
             console.error('Error initializing publications:', error);
             this.displayError();
         }
+
+        if (this.debug) {
+            this.showDiagnostics();
+        }
+    }
+
+    /**
+     * Add DOIs and bibliographic details from Crossref, then re-render the list
+     */
+    async enrichPublications() {
+        try {
+            const { publications, updated } = await this.crossref.enrich(this.publications);
+            if (updated === 0) return;
+
+            this.publications = publications;
+            const textArea = document.querySelector('#portfolioModal5 .modal-body .container .row .col-lg-8 p.mb-5.text-left');
+            if (textArea && textArea.querySelector('.publication-list')) {
+                this.renderPublicationList(textArea);
+            }
+        } catch (error) {
+            console.error('Error enriching publications:', error);
+        }
+    }
+
+    /**
+     * Load publications from the snapshot written by tools/build-data.js
+     */
+    async loadSnapshot() {
+        try {
+            const snapshot = await DataSnapshot.load(this.snapshotUrl, 'publications');
+            this.publications = snapshot.publications;
+            this.metrics = snapshot.metrics || null;
+            this.provenance = { kind: 'bundled', updatedAt: snapshot.generatedAt, source: snapshot.source };
+        } catch (error) {
+            console.error('Error loading publications snapshot:', error);
+        }
     }
 
     /**
-     * Fetch publications from Google Scholar
-     * Note: This uses a CORS proxy since Google Scholar doesn't allow direct access
+     * Records of the bundled snapshot, or none when it cannot be loaded
+     */
+    async loadSnapshotRecords() {
+        try {
+            return (await DataSnapshot.load(this.snapshotUrl, 'publications')).publications;
+        } catch (error) {
+            console.error('Error loading publications snapshot:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fetch publications live from the first configured source that answers, or with mergeSources
+     * from every source, merged with the bundled snapshot and deduplicated
+     * Note: Google Scholar goes through CORS proxies since it doesn't allow direct access.
+     * On success the result is cached; on failure the previously loaded publications are kept.
      */
     async fetchPublications() {
+        const started = Date.now();
+        const diagnostics = ScrapeDiagnostics.start();
+        this.diagnostics = diagnostics;
         this.isLoading = true;
-        this.showLoadingState();
 
         try {
-            // Using a CORS proxy to fetch Google Scholar data
-            const proxyUrl = 'https://api.allorigins.win/raw?url=';
-            const response = await fetch(proxyUrl + encodeURIComponent(this.scholarUrl));
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const lists = [];
+            const reports = [];
+            let metrics = null;
+
+            for (const source of this.sources) {
+                try {
+                    const result = await this.fetchFromSource(source);
+
+                    // No rows usually means Scholar served a captcha or changed its markup
+                    if (result.publications.length === 0) {
+                        throw new Error('No publications parsed');
+                    }
+
+                    lists.push({ source: source, records: result.publications });
+                    reports.push(this.fetchReport);
+                    metrics = metrics || result.metrics;
+                    console.log(`Successfully parsed ${result.publications.length} publications from ${source} via ${this.fetchReport.proxy}`);
+
+                    if (!this.mergeSources) {
+                        break;
+                    }
+                } catch (error) {
+                    console.error(`Error fetching publications from ${source}:`, error);
+                    diagnostics.errors.push({ source: source, message: error.message });
+                }
             }
 
-            const html = await response.text();
-            this.parsePublications(html);
-        } catch (error) {
-            console.error('Error fetching publications:', error);
-            // Fallback to manual publications data
-            this.loadFallbackPublications();
+            if (lists.length === 0) {
+                diagnostics.fallback = this.provenance
+                    ? `Every source failed, so the ${this.provenance.kind} data stays on screen`
+                    : 'Every source failed and there is no other data to show';
+                return;
+            }
+
+            const source = lists.map(list => list.source).join(',');
+            if (this.mergeSources) {
+                // Merged last, so papers the live sources left out are kept without outranking them
+                lists.push({ source: 'snapshot', records: await this.loadSnapshotRecords() });
+            }
+            this.publications = PublicationMerger.merge(lists);
+            this.metrics = metrics;
+
+            // Pages the service worker answered from its cache are as old as when it saved them,
+            // so they are not cached again as fresh
+            const cachedAt = reports.map(report => report && report.cachedAt).filter(date => date).sort()[0];
+            if (cachedAt) {
+                this.provenance = { kind: 'offline', updatedAt: cachedAt, source: source };
+                diagnostics.fallback = `The network is unavailable, so the service worker answered with pages saved on ${cachedAt}`;
+            } else {
+                this.provenance = { kind: 'live', updatedAt: new Date().toISOString(), source: source };
+                this.cache.write({ source: source, records: this.publications, metrics: metrics });
+            }
         } finally {
+            diagnostics.ms = Date.now() - started;
             this.isLoading = false;
         }
     }
 
+    /**
+     * Fetch { publications, metrics } from one source, keeping its request report in fetchReport
+     */
+    async fetchFromSource(source) {
+        try {
+            if (source === 'orcid') {
+                // ORCID has no citation metrics, they are computed from the records instead
+                return { publications: await this.orcid.fetchPublications(), metrics: null };
+            }
+            return await this.fetchAllPages(url => this.fetchPage(url));
+        } finally {
+            const fetcher = source === 'orcid' ? this.orcid.proxyFetcher : this.proxyFetcher;
+            this.fetchReport = fetcher.lastReport;
+            if (source === 'orcid' && this.diagnostics && this.fetchReport) {
+                this.diagnostics.requests.push({ source: source, url: this.fetchReport.url, fetch: this.fetchReport, parse: null, html: null });
+            }
+        }
+    }
+
+    /**
+     * Fetch one profile page through the CORS proxies, noting the request and the raw HTML in the diagnostics
+     */
+    async fetchPage(url) {
+        const request = { source: 'scholar', url: url, fetch: null, parse: null, html: null };
+        if (this.diagnostics) {
+            this.diagnostics.requests.push(request);
+        }
+
+        try {
+            request.html = await this.proxyFetcher.fetchText(url);
+            return request.html;
+        } finally {
+            request.fetch = this.proxyFetcher.lastReport;
+        }
+    }
+
+    /**
+     * Build the profile URL for the page starting at the given row
+     */
+    buildPageUrl(cstart) {
+        const url = new URL(this.scholarUrl);
+        url.searchParams.set('cstart', cstart);
+        url.searchParams.set('pagesize', this.pageSize);
+        return url.toString();
+    }
+
+    /**
+     * Page through the whole profile with cstart/pagesize until a page comes back short
+     * fetchHtml(url) must resolve to the page HTML. Metrics are read from the first page.
+     */
+    async fetchAllPages(fetchHtml) {
+        const pages = [];
+        let metrics = null;
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const html = await fetchHtml(this.buildPageUrl(page * this.pageSize));
+            const rows = this.parsePublications(html);
+            pages.push(rows);
+
+            // Pair the parse details with the request that fetched the page
+            const request = this.diagnostics && this.diagnostics.requests.find(entry => entry.html === html);
+            if (request) {
+                request.parse = this.lastParse;
+            }
+
+            if (page === 0) {
+                metrics = this.parseMetrics(html);
+            }
+
+            if (rows.length < this.pageSize) {
+                break;
+            }
+        }
+
+        return { publications: this.mergePages(pages), metrics: metrics };
+    }
+
+    /**
+     * Merge parsed pages into one list, dropping rows repeated across page boundaries
+     */
+    mergePages(pages) {
+        const merged = new Map();
+        pages.forEach(rows => rows.forEach(pub => {
+            if (!merged.has(pub.id)) {
+                merged.set(pub.id, pub);
+            }
+        }));
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Resolve a row's citation link against Scholar instead of the current page.
+     * Anything but an http or https link (javascript:, data:, ...) becomes '#'.
+     */
+    resolveScholarLink(element) {
+        if (!element) return '#';
+
+        const href = element.getAttribute('data-href') || element.getAttribute('href');
+        if (!href) return '#';
+
+        try {
+            const url = new URL(href, this.scholarUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : '#';
+        } catch (error) {
+            return '#';
+        }
+    }
+
+    /**
+     * Stable ID for a row: Scholar's citation ID, or a slug of year and title
+     */
+    getPublicationId(link, title, year) {
+        const match = /[?&]citation_for_view=([^&#]+)/.exec(link);
+        if (match) {
+            return decodeURIComponent(match[1]);
+        }
+
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${year}-${slug.substring(0, 60)}`;
+    }
+
+    /**
+     * Parse the citation metrics table (gsc_rsb_st) and the citations-per-year
+     * histogram (gsc_g_t years, gsc_g_a bars). Returns null when the table is missing.
+     */
+    parseMetrics(html) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+
+        const table = doc.querySelector('#gsc_rsb_st');
+        if (!table) return null;
+
+        const toNumber = cell => (cell ? parseInt(cell.textContent.replace(/[^\d]/g, ''), 10) || 0 : undefined);
+        const sinceHeader = Array.from(table.querySelectorAll('th'))
+            .map(th => /since\s+(\d{4})/i.exec(th.textContent))
+            .find(match => match);
+
+        const metrics = {
+            citations: null,
+            hIndex: null,
+            i10Index: null,
+            sinceYear: sinceHeader ? sinceHeader[1] : null,
+            citationsPerYear: []
+        };
+
+        const fields = { 'citations': 'citations', 'h-index': 'hIndex', 'i10-index': 'i10Index' };
+        table.querySelectorAll('tbody tr').forEach(row => {
+            const cells = row.querySelectorAll('td');
+            const field = cells.length > 1 ? fields[cells[0].textContent.trim().toLowerCase()] : null;
+            if (field) {
+                metrics[field] = { all: toNumber(cells[1]), since: toNumber(cells[2]) };
+            }
+        });
+
+        // Years without citations have no bar, so each bar is matched to its year
+        // through the as_ylo link parameter, or through its z-index counted from the right
+        const years = Array.from(doc.querySelectorAll('.gsc_g_t')).map(span => parseInt(span.textContent, 10));
+        const counts = {};
+        doc.querySelectorAll('.gsc_g_a').forEach(bar => {
+            const yearMatch = /as_ylo=(\d{4})/.exec(bar.getAttribute('href') || '');
+            const zIndex = parseInt(bar.style.zIndex, 10);
+            const year = yearMatch ? parseInt(yearMatch[1], 10) : years[years.length - zIndex];
+            if (year) {
+                counts[year] = toNumber(bar.querySelector('.gsc_g_al') || bar);
+            }
+        });
+        metrics.citationsPerYear = years.map(year => ({ year: year, count: counts[year] || 0 }));
+
+        return metrics;
+    }
+
     /**
      * Parse HTML content to extract publication information
+     * Returns the parsed records without touching the current list. What was matched
+     * (selector, row count, how many rows had each field) is kept in lastParse.
      */
     parsePublications(html) {
+        const started = Date.now();
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
         
@@ -68,15 +413,22 @@ class ScholarPublications {
         ];
         
         let publicationElements = [];
+        let matchedSelector = null;
         for (const selector of selectors) {
             publicationElements = doc.querySelectorAll(selector);
             if (publicationElements.length > 0) {
                 console.log(`Found ${publicationElements.length} publications using selector: ${selector}`);
+                matchedSelector = selector;
                 break;
             }
         }
+
+        const hits = { title: 0, authors: 0, venue: 0, year: 0, citations: 0 };
+        const found = (field, element) => {
+            if (element && element.textContent.trim()) hits[field]++;
+        };
         
-        this.publications = Array.from(publicationElements).map((element, index) => {
+        const publications = Array.from(publicationElements).map((element) => {
             // Try different ways to extract publication data
             const titleElement = element.querySelector('.gsc_a_at') || 
                                 element.querySelector('a[href*="scholar"]') ||
@@ -94,6 +446,12 @@ class ScholarPublications {
             const citationsElement = element.querySelector('.gsc_a_c') ||
                                     element.querySelector('.gsc_a_c a');
 
+            found('title', titleElement);
+            found('authors', authorsElement);
+            found('venue', venueElement);
+            found('year', yearElement);
+            found('citations', citationsElement);
+
             const title = titleElement ? titleElement.textContent.trim() : 
                          element.textContent.split('\n')[0]?.trim() || 'Unknown Title';
             
@@ -101,123 +459,29 @@ class ScholarPublications {
             const venue = venueElement ? venueElement.textContent.trim() : 'Unknown Venue';
             const year = yearElement ? yearElement.textContent.trim() : 'Unknown Year';
             const citations = citationsElement ? citationsElement.textContent.trim() : '0';
+            const link = this.resolveScholarLink(titleElement);
 
             return {
-                id: index + 1,
+                id: this.getPublicationId(link, title, year),
                 title: title.length > 150 ? title.substring(0, 150) + '...' : title,
                 authors: authors,
                 venue: venue,
                 year: year,
                 citations: citations,
-                link: titleElement ? titleElement.href : '#'
+                link: link
             };
         });
 
-        // If no publications found or very few found, use fallback data
-        if (this.publications.length === 0 || this.publications.length < 5) {
-            console.log('Using fallback publications data');
-            this.loadFallbackPublications();
-        } else {
-            console.log(`Successfully parsed ${this.publications.length} publications`);
-        }
-    }
-
-    /**
-     * Load fallback publication data when scraping fails
-     */
-    loadFallbackPublications() {
-        this.publications = [
-            {
-                id: 1,
-                title: "Network traffic profiling using data mining technique in campus environment",
-                authors: "M. A. M. Ariffin, R. Ishak, S. A. Ahmad, and Z. Kasiran",
-                venue: "International Journal of Advanced Trends in Computer Science and Engineering",
-                year: "2020",
-                citations: "15",
-                link: "#"
-            },
-            {
-                id: 2,
-                title: "Data leakage detection in cloud computing platform",
-                authors: "M. A. M. Ariffin, K. A. Rahman, M. Y. Darus, N. Awang, and Z. Kasiran",
-                venue: "International Journal of Advanced Trends in Computer Science and Engineering",
-                year: "2019",
-                citations: "12",
-                link: "#"
-            },
-            {
-                id: 3,
-                title: "API Vulnerabilities In Cloud Computing Platform: Attack And Detection",
-                authors: "M. A. M. Ariffin, M. F. Ibrahim and Z. Kasiran",
-                venue: "International Journal of Engineering Trends and Technology (IJETT)",
-                year: "2020",
-                citations: "8",
-                link: "#"
-            },
-            {
-                id: 4,
-                title: "Multi-level resilience in networked environments: Concepts & principles",
-                authors: "M. A. M. Ariffin, A. K. Marnerides, and A. U. Mauthe",
-                venue: "2017 14th IEEE Annual Consumer Communications and Networking Conference",
-                year: "2017",
-                citations: "25",
-                link: "#"
-            },
-            {
-                id: 5,
-                title: "Automatic Climate Control for Mushroom Cultivation using IoT Approach",
-                authors: "Ariffin, M., Ramli, M., Amin, M., Ismail, M., Zainol, Z., Ahmad, N., & Jamil, N.",
-                venue: "2020 IEEE 10th International Conference on System Engineering and Technology (ICSET)",
-                year: "2020",
-                citations: "18",
-                link: "#"
-            },
-            {
-                id: 6,
-                title: "IoT-Based Flash Flood Detection and Alert Using TensorFlow",
-                authors: "Rashid, A.A., Ariffin, M.A.M., Kasiran, Z.",
-                venue: "Proceedings - 2021 11th IEEE International Conference on Control System, Computing and Engineering",
-                year: "2021",
-                citations: "10",
-                link: "#"
-            },
-            {
-                id: 7,
-                title: "Local File Inclusion Vulnerability Scanner with Tor Proxy",
-                authors: "K. A. H. H. B. C. K. M. Sahidi, M. A. M. Ariffin, M. I. Ramli and Z. Kasiran",
-                venue: "2021 IEEE International Conference on Signal and Image Processing Applications (ICSIPA)",
-                year: "2021",
-                citations: "5",
-                link: "#"
-            },
-            {
-                id: 8,
-                title: "A Case Study On Digital Divide And Access To Information Communication Technologies (Icts) In Pulau Tuba, Langkawi, Malaysia",
-                authors: "Et. al., M.",
-                venue: "Turkish Journal Of Computer And Mathematics Education (TURCOMAT)",
-                year: "2021",
-                citations: "7",
-                link: "#"
-            },
-            {
-                id: 9,
-                title: "Detecting Anomaly in IoT Devices using Multi-Threaded Autonomous Anomaly Detection",
-                authors: "MYI Basheer, AM Ali, NHA Hamid, MAM Ariffin, R Osman, S Nordin",
-                venue: "2021 4th International Symposium on Agents, Multi-Agent Systems and Robotics",
-                year: "2021",
-                citations: "3",
-                link: "#"
-            },
-            {
-                id: 10,
-                title: "Implementation Of Dynamic Honeypot On Raspberry Pi",
-                authors: "ADI RIDZAN ADNAN, MUHAMMAD AZIZI BIN MOHD ARIFFIN",
-                venue: "i-IDeA 2020 - 5TH INTERNATIONAL INNOVATION, DESIGN & ARTICULATION",
-                year: "2021",
-                citations: "2",
-                link: "#"
-            }
-        ];
+        this.lastParse = {
+            selector: matchedSelector,
+            tried: selectors,
+            rawCount: publicationElements.length,
+            parsedCount: publications.filter(pub => pub.title !== 'Unknown Title').length,
+            fields: hits,
+            fieldTotal: publicationElements.length,
+            ms: Date.now() - started
+        };
+        return publications;
     }
 
     /**
@@ -237,44 +501,419 @@ class ScholarPublications {
             return;
         }
 
-        // Clear existing content
-        textArea.innerHTML = '';
-
         // Add header
-        textArea.innerHTML += '<b>Publications</b><br><br>';
+        const html = [SafeHtml.html`<b>${I18n.t('publications.heading')}</b><br><br>`];
 
-        // Add publications with better formatting
-        this.publications.forEach((pub, index) => {
-            textArea.innerHTML += `
-                <div class="publication-item mb-3 p-2 border-left border-primary">
-                    <strong>[${index + 1}] ${pub.title}</strong><br>
-                    <em class="text-secondary">${pub.authors}</em><br>
-                    <span class="text-muted">${pub.venue}, ${pub.year}</span><br>
-                    <small class="badge badge-info">Citations: ${pub.citations}</small><br><br>
+        // Warn when the data is stale because the visitor is offline
+        html.push(OfflineSupport.renderNotice(this.provenance));
+
+        // Add citation metrics dashboard
+        html.push(CitationMetrics.render(this.metrics, this.publications));
+
+        // Add search, filter and sort controls
+        html.push(SafeHtml.html`
+            <div class="publication-toolbar mb-3">
+                <div class="form-row">
+                    <div class="col-md-6 mb-2">
+                        <input type="search" id="publicationSearch" class="form-control form-control-sm" placeholder="${I18n.t('publications.search')}" aria-label="${I18n.t('publications.searchLabel')}">
+                    </div>
+                    <div class="col-6 col-md-3 mb-2">
+                        <input type="number" id="publicationYearFrom" class="form-control form-control-sm" placeholder="${I18n.t('publications.fromYear')}" aria-label="${I18n.t('publications.fromYear')}" min="1900" max="2100">
+                    </div>
+                    <div class="col-6 col-md-3 mb-2">
+                        <input type="number" id="publicationYearTo" class="form-control form-control-sm" placeholder="${I18n.t('publications.toYear')}" aria-label="${I18n.t('publications.toYear')}" min="1900" max="2100">
+                    </div>
+                    <div class="col-6 mb-2">
+                        <select id="publicationVenueType" class="custom-select custom-select-sm" aria-label="${I18n.t('publications.venueType')}">
+                            <option value="">${I18n.t('publications.allVenues')}</option>
+                            <option value="journal">${I18n.t('publications.journals')}</option>
+                            <option value="conference">${I18n.t('publications.conferences')}</option>
+                        </select>
+                    </div>
+                    <div class="col-6 mb-2">
+                        <select id="publicationSort" class="custom-select custom-select-sm" aria-label="${I18n.t('publications.sortOrder')}">
+                            <option value="">${I18n.t('publications.sortProfile')}</option>
+                            <option value="year">${I18n.t('publications.sortYear')}</option>
+                            <option value="citations">${I18n.t('publications.sortCitations')}</option>
+                            <option value="title">${I18n.t('publications.sortTitle')}</option>
+                        </select>
+                    </div>
                 </div>
-            `;
-        });
+                <small class="text-muted publication-count" aria-live="polite"></small>
+            </div>
+        `);
+
+        // Add export controls
+        const formats = CitationExporter.FORMATS;
+        html.push(SafeHtml.html`
+            <div class="publication-export form-inline mb-3">
+                <label class="small mr-2" for="publicationExportFormat">${I18n.t('publications.export')}</label>
+                <select id="publicationExportFormat" class="custom-select custom-select-sm mr-2">
+                    ${Object.keys(formats).map(format => SafeHtml.html`<option value="${format}">${formats[format].label}</option>`)}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-primary mr-2" data-export-action="download"><i class="fas fa-download"></i> ${I18n.t('publications.download')}</button>
+                <button type="button" class="btn btn-sm btn-outline-primary mr-2" data-export-action="copy"><i class="fas fa-copy"></i> ${I18n.t('publications.copy')}</button>
+                <small class="text-muted publication-export-status"></small>
+            </div>
+        `);
 
-        // Add note about data source and loading status
-        const isUsingFallback = this.publications.length <= 10;
-        textArea.innerHTML += `
+        // Add citation style selector
+        const styles = CitationFormatter.STYLES;
+        html.push(SafeHtml.html`
+            <div class="publication-style form-inline mb-3">
+                <label class="small mr-2" for="publicationCitationStyle">${I18n.t('publications.citationStyle')}</label>
+                <select id="publicationCitationStyle" class="custom-select custom-select-sm">
+                    <option value="default"${this.citationStyle === 'default' ? SafeHtml.raw(' selected') : ''}>${I18n.t('publications.styleDefault')}</option>
+                    ${Object.keys(styles).map(style => SafeHtml.html`<option value="${style}"${this.citationStyle === style ? SafeHtml.raw(' selected') : ''}>${styles[style]}</option>`)}
+                </select>
+            </div>
+        `);
+
+        // Publications are rendered into this container by renderPublicationList()
+        html.push(SafeHtml.html`<div class="publication-list"></div>`);
+
+        // Add note about where the data came from
+        const isBundled = this.provenance && this.provenance.kind === 'bundled';
+        html.push(SafeHtml.html`
             <div class="mt-4 p-3 bg-light rounded">
                 <small class="text-muted">
                     <i class="fas fa-info-circle"></i> 
-                    ${isUsingFallback ? 
-                        'Showing cached publication data. ' : 
-                        'Publication data fetched from Google Scholar. '
+                    ${this.describeProvenance()}
+                    <a href="${SafeHtml.url(this.scholarUrl)}" target="_blank" class="text-primary">${I18n.t('common.viewProfile')}</a>
+                    &middot; <a href="#/network" class="text-primary">${I18n.t('network.open')}</a>
+                    ${this.provenance && String(this.provenance.source).split(',').includes('orcid') ?
+                        SafeHtml.html` &middot; <a href="${SafeHtml.url(this.orcid.profileUrl)}" target="_blank" class="text-primary">${I18n.t('publications.orcidRecord')}</a>` :
+                        ''
                     }
-                    <a href="${this.scholarUrl}" target="_blank" class="text-primary">View full profile</a>
-                    ${isUsingFallback ? 
-                        '<br><small class="text-warning"><i class="fas fa-exclamation-triangle"></i> Some publications may not be displayed due to loading limitations.</small>' : 
+                    ${isBundled ? 
+                        SafeHtml.html`<br><small class="text-warning"><i class="fas fa-exclamation-triangle"></i> ${I18n.t('publications.bundledWarning')}</small>` : 
                         ''
                     }
                 </small>
             </div>
+        `);
+
+        textArea.innerHTML = SafeHtml.html`${html}`;
+
+        this.bindFilterControls(textArea);
+        this.bindExportControls(textArea);
+
+        textArea.querySelector('#publicationCitationStyle').addEventListener('change', (event) => {
+            this.saveCitationStyle(event.target.value);
+            this.renderPublicationList(textArea);
+        });
+
+        this.renderPublicationList(textArea);
+    }
+
+    /**
+     * Publications matching the current search, filters and sort order
+     */
+    getVisiblePublications() {
+        return PublicationFilter.apply(this.publications, this.filters);
+    }
+
+    /**
+     * Re-render only the list and the result count, leaving the controls in place
+     */
+    renderPublicationList(textArea) {
+        const visible = this.getVisiblePublications();
+        const list = textArea.querySelector('.publication-list');
+
+        list.innerHTML = visible.length > 0
+            ? SafeHtml.html`${visible.map((pub, index) => this.renderPublicationItem(pub, index))}`
+            : SafeHtml.html`<p class="text-muted">${I18n.t('publications.noMatch')}</p>`;
+
+        textArea.querySelector('.publication-count').textContent =
+            I18n.t('publications.count', { visible: visible.length, total: this.publications.length });
+
+        // Entries that were open stay open; their details come from the cache
+        list.querySelectorAll('.publication-details-toggle').forEach(button => {
+            button.addEventListener('click', () => this.toggleDetails(button));
+            this.renderDetails(button);
+        });
+
+        list.querySelectorAll('.publication-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const id = checkbox.getAttribute('data-publication-id');
+                if (checkbox.checked) {
+                    this.selectedIds.add(id);
+                } else {
+                    this.selectedIds.delete(id);
+                }
+                this.updateExportScope(textArea);
+            });
+        });
+
+        this.updateExportScope(textArea);
+    }
+
+    /**
+     * Fill the toolbar from the current filters and update the list as they change
+     */
+    bindFilterControls(textArea) {
+        const controls = {
+            q: textArea.querySelector('#publicationSearch'),
+            from: textArea.querySelector('#publicationYearFrom'),
+            to: textArea.querySelector('#publicationYearTo'),
+            type: textArea.querySelector('#publicationVenueType'),
+            sort: textArea.querySelector('#publicationSort')
+        };
+
+        Object.entries(controls).forEach(([field, control]) => {
+            // Values are assigned as properties so text from the URL is never parsed as markup
+            control.value = this.filters[field];
+            control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'input', () => {
+                this.filters[field] = control.value.trim();
+                this.updateFilterUrl();
+                this.renderPublicationList(textArea);
+            });
+        });
+    }
+
+    /**
+     * Replace the filters, e.g. from a #/publications?... route, and redraw the list if it is showing
+     */
+    applyFilters(filters) {
+        if (JSON.stringify(filters) === JSON.stringify(this.filters)) return;
+
+        this.filters = filters;
+        const textArea = document.querySelector('#portfolioModal5 .modal-body .container .row .col-lg-8 p.mb-5.text-left');
+        if (textArea && textArea.querySelector('.publication-list')) {
+            this.displayPublications();
+        }
+    }
+
+    /**
+     * Render what the modal is showing again, e.g. in a newly chosen language
+     */
+    redraw() {
+        const textArea = document.querySelector('#portfolioModal5 .modal-body .container .row .col-lg-8 p.mb-5.text-left');
+        if (!textArea) return;
+
+        if (textArea.querySelector('.publication-list')) {
+            this.displayPublications();
+        } else if (this.isLoading) {
+            this.showLoadingState();
+        } else if (textArea.querySelector('.alert')) {
+            this.displayError();
+        }
+    }
+
+    /**
+     * Mirror the filters into the address bar so the view can be shared
+     */
+    updateFilterUrl() {
+        const url = PublicationFilter.toUrl(this.filters, window.location.href);
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    /**
+     * Render one publication in the selected citation style
+     */
+    renderPublicationItem(pub, index) {
+        const checkbox = SafeHtml.html`<input type="checkbox" class="publication-select mr-1" data-publication-id="${pub.id}" aria-label="${I18n.t('publications.select')}"${this.selectedIds.has(String(pub.id)) ? SafeHtml.raw(' checked') : ''}>`;
+        const link = SafeHtml.url(pub.link);
+
+        if (this.citationStyle in CitationFormatter.STYLES) {
+            const citation = CitationFormatter.format(pub, this.citationStyle, index + 1);
+            return SafeHtml.html`
+                <div class="publication-item mb-3 p-2 border-left border-primary">
+                    ${checkbox}
+                    <span class="publication-citation">${CitationFormatter.toHtml(citation)}</span><br>
+                    ${this.renderCitationBadge(pub)}
+                    ${this.renderDoiBadge(pub)}
+                    ${this.renderDetailsToggle(pub, index)}
+                </div>
+            `;
+        }
+
+        return SafeHtml.html`
+            <div class="publication-item mb-3 p-2 border-left border-primary">
+                ${checkbox}
+                <strong>[${index + 1}] ${link !== '#' ? SafeHtml.html`<a href="${link}" target="_blank" rel="noopener">${pub.title}</a>` : pub.title}</strong><br>
+                <em class="text-secondary">${pub.authors}</em><br>
+                <span class="text-muted">${pub.venue}, ${pub.year}</span><br>
+                ${this.renderCitationBadge(pub)}
+                ${this.renderDoiBadge(pub)}
+                ${this.renderDetailsToggle(pub, index)}<br><br>
+            </div>
         `;
     }
 
+    /**
+     * Citation count badge, left out for sources without counts (ORCID)
+     */
+    renderCitationBadge(pub) {
+        if (pub.citations === null || pub.citations === undefined) return '';
+        return SafeHtml.html`<small class="badge badge-info">${I18n.t('publications.citations', { count: pub.citations })}</small>`;
+    }
+
+    /**
+     * DOI badge linking to the resolver, when the DOI is known
+     */
+    renderDoiBadge(pub) {
+        if (!pub.doi) return '';
+        return SafeHtml.html`<a href="${SafeHtml.url(pub.doi)}" target="_blank" rel="noopener" class="badge badge-secondary publication-doi">DOI: ${pub.doi}</a>`;
+    }
+
+    /**
+     * Button that expands the details from the Scholar citation page, with the panel they go in.
+     * Left out for publications Scholar has no page for.
+     */
+    renderDetailsToggle(pub, index) {
+        if (!ScholarCitationDetails.citationUrl(pub)) return '';
+
+        return SafeHtml.html`
+            <button type="button" class="btn btn-link btn-sm p-0 ml-1 align-baseline publication-details-toggle" data-publication-id="${pub.id}" aria-controls="publicationDetails-${index}" aria-expanded="false"></button>
+            <div class="publication-details" id="publicationDetails-${index}" hidden></div>
+        `;
+    }
+
+    /**
+     * Expand or collapse a publication's details
+     */
+    toggleDetails(button) {
+        const id = button.getAttribute('data-publication-id');
+        if (this.expandedIds.has(id)) {
+            this.expandedIds.delete(id);
+        } else {
+            this.expandedIds.add(id);
+        }
+        this.renderDetails(button);
+    }
+
+    /**
+     * Bring a details panel in line with expandedIds: hidden, or showing the details, which are
+     * fetched the first time and come from ScholarCitationDetails' cache after that
+     */
+    async renderDetails(button) {
+        const id = button.getAttribute('data-publication-id');
+        const panel = document.getElementById(button.getAttribute('aria-controls'));
+        const pub = this.publications.find(candidate => String(candidate.id) === id);
+        const expanded = this.expandedIds.has(id);
+
+        button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        button.innerHTML = SafeHtml.html`<i class="fas fa-chevron-${expanded ? 'up' : 'down'}"></i> ${I18n.t(expanded ? 'publications.hideDetails' : 'publications.showDetails')}`;
+        panel.hidden = !expanded;
+        if (!expanded || !pub) return;
+
+        const cached = this.citationDetails.cached(pub);
+        if (cached) {
+            panel.innerHTML = ScholarCitationDetails.render(cached);
+            return;
+        }
+
+        panel.innerHTML = SafeHtml.html`
+            <div class="small text-muted mt-2">
+                <span class="spinner-border spinner-border-sm mr-1" role="status" aria-hidden="true"></span>${I18n.t('publications.detailsLoading')}
+            </div>
+        `;
+        try {
+            const details = await this.citationDetails.load(pub);
+            // The list may have been redrawn or the entry collapsed while the page was loading
+            if (panel.isConnected && this.expandedIds.has(id)) {
+                panel.innerHTML = ScholarCitationDetails.render(details);
+            }
+        } catch (error) {
+            console.error(`Error loading details for "${pub.title}":`, error);
+            if (panel.isConnected) {
+                const link = SafeHtml.html`<a href="${SafeHtml.url(ScholarCitationDetails.citationUrl(pub))}" target="_blank" rel="noopener" class="alert-link">${I18n.t('publications.detailsLink')}</a>`;
+                panel.innerHTML = SafeHtml.html`<div class="alert alert-warning small py-2 mt-2 mb-0" role="alert">${I18n.html('publications.detailsFailed', { link: link })}</div>`;
+            }
+        }
+    }
+
+    /**
+     * Read the citation style chosen on a previous visit
+     */
+    loadCitationStyle() {
+        try {
+            return localStorage.getItem('mebikarbonat:citation-style') || 'default';
+        } catch (error) {
+            return 'default';
+        }
+    }
+
+    /**
+     * Remember the chosen citation style between visits
+     */
+    saveCitationStyle(style) {
+        this.citationStyle = style;
+        try {
+            localStorage.setItem('mebikarbonat:citation-style', style);
+        } catch (error) {
+            console.error('Error saving citation style:', error);
+        }
+    }
+
+    /**
+     * Publications to export: the ticked ones, or everything currently shown when none are ticked
+     */
+    getExportSelection() {
+        const selected = this.publications.filter(pub => this.selectedIds.has(String(pub.id)));
+        return selected.length > 0 ? selected : this.getVisiblePublications();
+    }
+
+    /**
+     * Tell the user what the export buttons will include
+     */
+    updateExportScope(textArea) {
+        const count = this.getExportSelection().length;
+        textArea.querySelector('.publication-export-status').textContent =
+            this.selectedIds.size > 0 ? I18n.t('publications.selected', { count: count }) : I18n.t('publications.allShown', { count: count });
+    }
+
+    /**
+     * Wire up the export buttons rendered by displayPublications()
+     */
+    bindExportControls(textArea) {
+        const status = textArea.querySelector('.publication-export-status');
+
+        textArea.querySelectorAll('[data-export-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const format = textArea.querySelector('#publicationExportFormat').value;
+                const text = CitationExporter.serialize(this.getExportSelection(), format);
+
+                try {
+                    if (button.getAttribute('data-export-action') === 'copy') {
+                        await CitationExporter.copy(text);
+                        status.textContent = I18n.t('publications.copied', { format: CitationExporter.FORMATS[format].label });
+                    } else {
+                        const { extension, type } = CitationExporter.FORMATS[format];
+                        CitationExporter.download(text, `publications.${extension}`, type);
+                    }
+                } catch (error) {
+                    console.error('Error exporting publications:', error);
+                    status.textContent = I18n.t('publications.exportFailed');
+                }
+            });
+        });
+    }
+
+    /**
+     * Describe where the displayed publications came from and when
+     */
+    describeProvenance() {
+        if (!this.provenance) return '';
+
+        const when = new Date(this.provenance.updatedAt).toLocaleString(I18n.locale());
+        const source = String(this.provenance.source).split(',')
+            .map(name => ScholarPublications.SOURCES[name] || 'Google Scholar')
+            .join(I18n.t('common.and'));
+        switch (this.provenance.kind) {
+            case 'live':
+                return `${I18n.t('publications.live', { source: source })} `;
+            case 'cached':
+            case 'offline':
+                return `${I18n.t('publications.cached', { source: source, when: when })} `;
+            default:
+                return `${I18n.t('publications.bundled', { when: when })} `;
+        }
+    }
+
     /**
      * Show loading state
      */
@@ -285,12 +924,12 @@ class ScholarPublications {
         const textArea = modalBody.querySelector('p.mb-5.text-left');
         if (!textArea) return;
 
-        textArea.innerHTML = `
+        textArea.innerHTML = SafeHtml.html`
             <div class="text-center">
                 <div class="spinner-border text-primary" role="status">
-                    <span class="sr-only">Loading...</span>
+                    <span class="sr-only">${I18n.t('common.loading')}</span>
                 </div>
-                <p class="mt-2">Loading publications from Google Scholar...</p>
+                <p class="mt-2">${I18n.t('publications.loading')}</p>
             </div>
         `;
     }
@@ -305,33 +944,88 @@ class ScholarPublications {
         const textArea = modalBody.querySelector('p.mb-5.text-left');
         if (!textArea) return;
 
-        textArea.innerHTML = `
+        textArea.innerHTML = SafeHtml.html`
             <div class="alert alert-warning">
-                <h5>Unable to load publications automatically</h5>
-                <p>Please visit my <a href="${this.scholarUrl}" target="_blank" class="alert-link">Google Scholar profile</a> to view my publications.</p>
+                <h5>${I18n.t('publications.errorTitle')}</h5>
+                <p>${I18n.html('publications.errorBody', {
+                    link: SafeHtml.html`<a href="${SafeHtml.url(this.scholarUrl)}" target="_blank" class="alert-link">${I18n.t('publications.errorLink')}</a>`
+                })}</p>
             </div>
         `;
     }
 
     /**
-     * Refresh publications data
+     * Show the diagnostics overlay for the last fetch; also meant to be called from the console
+     */
+    showDiagnostics() {
+        return ScrapeDiagnostics.show('publications', 'Publications', this.diagnostics, this.provenance, async () => {
+            await this.refresh();
+            this.showDiagnostics();
+        });
+    }
+
+    /**
+     * Refresh publications data with a live scrape
      */
     async refresh() {
-        await this.init();
+        this.showLoadingState();
+        await this.fetchPublications();
+        this.displayPublications();
+        await this.enrichPublications();
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    const scholarPublications = new ScholarPublications();
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScholarPublications;
+}
+
+// Initialize when DOM is loaded (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const filters = PublicationFilter.fromUrl(window.location.href);
+        const scholarPublications = new ScholarPublications({
+            liveRefresh: new URLSearchParams(window.location.search).has('live'),
+            filters: filters,
+            debug: ScrapeDiagnostics.enabled()
+        });
     
-    // Initialize when the publication modal is opened
-    $('#portfolioModal5').on('show.bs.modal', function() {
-        if (scholarPublications.publications.length === 0) {
-            scholarPublications.init();
+        // Initialize when the publication modal is opened
+        $('#portfolioModal5').on('show.bs.modal', function() {
+            if (scholarPublications.publications.length === 0) {
+                scholarPublications.init();
+            }
+        });
+
+        // Show the current filters in the #/publications route once it is open
+        $('#portfolioModal5').on('shown.bs.modal', function() {
+            scholarPublications.updateFilterUrl();
+        });
+
+        // A #/publications?... route, opened or edited, carries the filters to apply
+        document.getElementById('portfolioModal5').addEventListener('route', function() {
+            scholarPublications.applyFilters(PublicationFilter.fromUrl(window.location.href));
+        });
+
+        // Render the list again in the language chosen from the navbar, and when the
+        // connection drops or comes back so the offline notice is up to date
+        document.addEventListener('i18n:change', function() {
+            scholarPublications.redraw();
+        });
+        window.addEventListener('online', function() {
+            scholarPublications.redraw();
+        });
+        window.addEventListener('offline', function() {
+            scholarPublications.redraw();
+        });
+    
+        // A filtered view shared as ?q=... becomes a #/publications route, which ModalRouter opens
+        if (PublicationFilter.isActive(PublicationFilter.fromQuery(window.location.search)) && !ModalRouter.parse(window.location.hash)) {
+            const url = new URL(window.location.href);
+            url.hash = ModalRouter.format('publications');
+            window.history.replaceState(null, '', PublicationFilter.toUrl(filters, url.href));
         }
+
+        // Make it globally available for manual refresh and showDiagnostics() from the console
+        window.scholarPublications = scholarPublications;
     });
-    
-    // Make it globally available for manual refresh if needed
-    window.scholarPublications = scholarPublications;
-});
+}
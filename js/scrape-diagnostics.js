@@ -0,0 +1,134 @@
+/**
+ * Scrape Diagnostics
+ * Records what happened during a live fetch (proxy attempts, the selector that
+ * matched, raw rows against parsed records, how often each field was found,
+ * timings and why fallback data was shown) and displays it in an overlay, with
+ * the raw HTML of every page available as a fixture for tools/build-data.js.
+ * Enabled with ?debug=1, or from the console with
+ * scholarPublications.showDiagnostics() / expertResearchGrants.showDiagnostics().
+ */
+
+class ScrapeDiagnostics {
+    /**
+     * Whether the page was opened with ?debug=1
+     */
+    static enabled(search = window.location.search) {
+        return new URLSearchParams(search).get('debug') === '1';
+    }
+
+    /**
+     * Empty record for one run: { startedAt, ms, requests, errors, fallback }.
+     * requests holds { source, url, fetch (ProxyFetcher report), parse, html } per page, where
+     * parse is the fetcher's lastParse: { selector, tried, rawCount, parsedCount, fields, fieldTotal, ms }.
+     */
+    static start() {
+        return { startedAt: new Date().toISOString(), ms: null, requests: [], errors: [], fallback: null };
+    }
+
+    /**
+     * Record for a run that did not go to the network, with the reason
+     */
+    static skipped(reason) {
+        return { ...ScrapeDiagnostics.start(), ms: 0, fallback: reason };
+    }
+
+    /**
+     * Hit rate as "18/20 (90%)"
+     */
+    static formatRate(hits, total) {
+        return total > 0 ? `${hits}/${total} (${Math.round(hits / total * 100)}%)` : '0/0';
+    }
+
+    /**
+     * File name for the raw HTML of a request, e.g. scholar-page-2.html
+     */
+    static fixtureName(request, index) {
+        return `${request.source}-page-${index + 1}.html`;
+    }
+
+    /**
+     * Overlay markup for a run. provenance describes what the modal is showing.
+     */
+    static render(name, title, run, provenance) {
+        const requests = run ? run.requests : [];
+
+        const requestHtml = requests.map((request, index) => {
+            const fetch = request.fetch || {};
+            const parse = request.parse;
+            const attempts = (fetch.attempts || []).map(attempt => SafeHtml.html`
+                <li>${attempt.proxy} (round ${attempt.round}): ${attempt.ok ? 'ok' : attempt.error}, ${attempt.ms} ms</li>
+            `);
+            const fields = parse ? Object.entries(parse.fields).map(([field, hits]) => SafeHtml.html`
+                <tr><td>${field}</td><td class="text-right">${ScrapeDiagnostics.formatRate(hits, parse.fieldTotal)}</td></tr>
+            `) : [];
+
+            return SafeHtml.html`
+                <div class="border-top pt-2 mt-2">
+                    <div class="text-break"><strong>${request.source}</strong> ${request.url}</div>
+                    <div>Proxy: ${fetch.proxy || 'none'}${fetch.ms !== undefined ? `, ${fetch.ms} ms` : ''}${fetch.cachedAt ? `, served by the service worker from ${fetch.cachedAt}` : ''}</div>
+                    ${attempts.length > 0 ? SafeHtml.html`<ul class="mb-1 pl-3">${attempts}</ul>` : ''}
+                    ${parse ? SafeHtml.html`
+                        <div>Selector: ${parse.selector ? SafeHtml.html`<code>${parse.selector}</code>` : SafeHtml.html`none of <code>${parse.tried.join(', ')}</code>`}</div>
+                        <div>Rows: ${parse.rawCount} raw, ${parse.parsedCount} parsed, ${parse.ms} ms</div>
+                        ${fields.length > 0 ? SafeHtml.html`<table class="table table-sm mb-1"><tbody>${fields}</tbody></table>` : ''}
+                    ` : ''}
+                    ${request.html ? SafeHtml.html`<button type="button" class="btn btn-sm btn-outline-secondary" data-diagnostics-fixture="${index}"><i class="fas fa-file-download"></i> Download HTML fixture</button>` : ''}
+                </div>
+            `;
+        });
+
+        return SafeHtml.html`
+            <div class="scrape-diagnostics position-fixed bg-white border rounded shadow p-3 small text-left" data-diagnostics="${name}" role="dialog" aria-label="${title} diagnostics">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <strong>${title} diagnostics</strong>
+                    <button type="button" class="close" data-diagnostics-close aria-label="Close"><span aria-hidden="true">&times;</span></button>
+                </div>
+                <div>Showing: ${provenance ? `${provenance.kind} data from ${provenance.updatedAt}` : 'nothing yet'}</div>
+                ${run ? SafeHtml.html`
+                    <div>Last run: ${run.startedAt}${run.ms !== null ? `, ${run.ms} ms` : ', running'}</div>
+                    ${run.fallback ? SafeHtml.html`<div class="text-danger">Fallback: ${run.fallback}</div>` : ''}
+                    ${run.errors.map(error => SafeHtml.html`<div class="text-danger">${error.source}: ${error.message}</div>`)}
+                ` : SafeHtml.html`<div>No fetch has run yet.</div>`}
+                ${requestHtml}
+                <div class="border-top pt-2 mt-2">
+                    <button type="button" class="btn btn-sm btn-primary" data-diagnostics-refresh><i class="fas fa-sync-alt"></i> Run live fetch</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show (or replace) the overlay for a section. onRefresh runs a live fetch.
+     */
+    static show(name, title, run, provenance, onRefresh) {
+        ScrapeDiagnostics.hide(name);
+
+        const container = document.createElement('div');
+        container.innerHTML = ScrapeDiagnostics.render(name, title, run, provenance);
+        const overlay = container.firstElementChild;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('[data-diagnostics-close]').addEventListener('click', () => ScrapeDiagnostics.hide(name));
+        overlay.querySelector('[data-diagnostics-refresh]').addEventListener('click', () => onRefresh());
+        overlay.querySelectorAll('[data-diagnostics-fixture]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.getAttribute('data-diagnostics-fixture'), 10);
+                const request = run.requests[index];
+                CitationExporter.download(request.html, ScrapeDiagnostics.fixtureName(request, index), 'text/html');
+            });
+        });
+        return overlay;
+    }
+
+    /**
+     * Remove a section's overlay
+     */
+    static hide(name) {
+        const overlay = document.querySelector(`.scrape-diagnostics[data-diagnostics="${name}"]`);
+        if (overlay) overlay.remove();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScrapeDiagnostics;
+}
@@ -6,8 +6,8 @@
     (function($) {
     "use strict"; // Start of use strict
   
-    // Smooth scrolling using jQuery easing
-    $('a.js-scroll-trigger[href*="#"]:not([href="#"])').click(function() {
+    // Smooth scrolling using jQuery easing (#/ route links are handled by ModalRouter)
+    $('a.js-scroll-trigger[href*="#"]:not([href="#"]):not([href^="#/"])').click(function() {
       if (location.pathname.replace(/^\//, '') == this.pathname.replace(/^\//, '') && location.hostname == this.hostname) {
         var target = $(this.hash);
         target = target.length ? target : $('[name=' + this.hash.slice(1) + ']');
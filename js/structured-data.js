@@ -0,0 +1,191 @@
+/**
+ * Structured Data
+ * Builds schema.org JSON-LD for the site owner (Person), their publications
+ * (ScholarlyArticle) and research grants (MonetaryGrant). Runs in the page and in
+ * tools/build-structured-data.js, which writes the same script tag into index.html.
+ */
+
+class StructuredData {
+    /**
+     * Details of the site owner that are not in the contact section
+     */
+    static get PERSON() {
+        return {
+            id: '#person',
+            name: 'Muhammad Azizi Mohd Ariffin',
+            jobTitle: 'Lecturer',
+            affiliation: 'Universiti Teknologi MARA (UiTM)',
+            affiliationUrl: 'https://www.uitm.edu.my/'
+        };
+    }
+
+    /**
+     * Read the profile links and e-mail address from the contact section
+     */
+    static contactFromDocument(doc) {
+        const links = Array.from(doc.querySelectorAll('#contact a[href]')).map(link => link.getAttribute('href'));
+
+        return {
+            sameAs: links.filter(href => /^https?:\/\//i.test(href)).map(href => SafeHtml.url(href)).filter(href => href !== '#'),
+            email: (links.find(href => /^mailto:/i.test(href)) || '').replace(/^mailto:/i, '')
+        };
+    }
+
+    /**
+     * Person node for the site owner
+     */
+    static person(contact = {}) {
+        const owner = StructuredData.PERSON;
+        const person = {
+            '@type': 'Person',
+            '@id': owner.id,
+            name: owner.name,
+            jobTitle: owner.jobTitle,
+            affiliation: { '@type': 'CollegeOrUniversity', name: owner.affiliation, url: owner.affiliationUrl }
+        };
+
+        if (contact.email) person.email = contact.email;
+        if (contact.sameAs && contact.sameAs.length > 0) person.sameAs = contact.sameAs;
+        return person;
+    }
+
+    /**
+     * ScholarlyArticle node for a publication record
+     */
+    static article(pub) {
+        const venue = PublicationFields.parseVenue(pub.venue);
+        const year = /^\d{4}$/.test(String(pub.year).trim()) ? String(pub.year).trim() : '';
+        const link = SafeHtml.url(pub.url || pub.link);
+
+        const article = {
+            '@type': 'ScholarlyArticle',
+            headline: pub.title,
+            author: PublicationFields.parseAuthors(pub.authors).map(name => ({
+                '@type': 'Person',
+                name: PublicationFields.formatName(name, 'initials-first')
+            }))
+        };
+
+        if (year) article.datePublished = year;
+        if (venue.name) {
+            // Conference papers are part of a proceedings volume, journal articles of a periodical
+            article.isPartOf = { '@type': venue.type === 'conference' ? 'Book' : 'Periodical', name: venue.name };
+        }
+        if (link !== '#') article.url = link;
+        if (pub.doi) {
+            article.identifier = { '@type': 'PropertyValue', propertyID: 'DOI', value: pub.doi };
+            article.sameAs = SafeHtml.url(pub.doi);
+        }
+        const citations = parseInt(pub.citations, 10);
+        if (!isNaN(citations)) {
+            article.interactionStatistic = {
+                '@type': 'InteractionCounter',
+                interactionType: 'https://schema.org/CiteAction',
+                userInteractionCount: citations
+            };
+        }
+        return article;
+    }
+
+    /**
+     * MonetaryGrant node for a structured grant record, funding a project the owner worked on
+     */
+    static grant(grant, personId = StructuredData.PERSON.id) {
+        const node = {
+            '@type': 'MonetaryGrant',
+            name: grant.title,
+            fundedItem: { '@type': 'ResearchProject', name: grant.title, member: { '@id': personId } }
+        };
+
+        if (grant.reference) node.identifier = grant.reference;
+        if (grant.sponsor || grant.scheme) node.funder = { '@type': 'Organization', name: grant.sponsor || grant.scheme };
+        if (grant.amount !== null && grant.amount !== undefined) {
+            node.amount = { '@type': 'MonetaryAmount', currency: 'MYR', value: Number(grant.amount) };
+        }
+        if (grant.startYear) node.startDate = String(grant.startYear);
+        if (grant.endYear) node.endDate = String(grant.endYear);
+        return node;
+    }
+
+    /**
+     * Full JSON-LD document: the person, then every publication and grant
+     */
+    static build({ contact = {}, publications = [], grants = [] } = {}) {
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [
+                StructuredData.person(contact),
+                ...publications.map(pub => StructuredData.article(pub)),
+                ...grants.map(grant => StructuredData.grant(grant))
+            ]
+        };
+    }
+
+    /**
+     * JSON text that is safe inside a script element ("</script>" cannot close it)
+     */
+    static serialize(data) {
+        return JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * The @graph items already embedded in the page, e.g. by the build-time generator
+     */
+    static read(doc) {
+        const script = doc.getElementById('structured-data');
+        if (!script) return [];
+
+        try {
+            return JSON.parse(script.textContent)['@graph'] || [];
+        } catch (error) {
+            console.error('Error reading embedded structured data:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the JSON-LD into <script type="application/ld+json" id="structured-data">,
+     * creating the element in the head when the page does not have one yet
+     */
+    static inject(doc, data) {
+        let script = doc.getElementById('structured-data');
+        if (!script) {
+            script = doc.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'structured-data';
+            doc.head.appendChild(script);
+        }
+        script.textContent = StructuredData.serialize(data);
+        return script;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredData;
+}
+
+// Refresh the JSON-LD once the modals have loaded live data (skipped when required from Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const contact = StructuredData.contactFromDocument(document);
+        const embedded = StructuredData.read(document);
+
+        // Sections that have not loaded live data yet keep their build-time items
+        const update = function() {
+            const publications = window.scholarPublications ? window.scholarPublications.publications : [];
+            const grants = window.expertResearchGrants ? window.expertResearchGrants.researchGrants : [];
+            if (publications.length === 0 && grants.length === 0 && embedded.length > 0) {
+                return;
+            }
+
+            const data = StructuredData.build({ contact, publications, grants });
+            const kept = type => embedded.filter(item => item['@type'] === type);
+            if (publications.length === 0) data['@graph'].push(...kept('ScholarlyArticle'));
+            if (grants.length === 0) data['@graph'].push(...kept('MonetaryGrant'));
+            StructuredData.inject(document, data);
+        };
+
+        $('#portfolioModal5, #portfolioModal2').on('hidden.bs.modal', update);
+        update();
+    });
+}
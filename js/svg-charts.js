@@ -0,0 +1,153 @@
+/**
+ * SVG Charts
+ * Builds small dependency-free charts as inline SVG markup (SafeHtml)
+ */
+
+class SvgCharts {
+    /**
+     * Vertical bar chart for [{ label, value }] data.
+     * Options: title (accessible name), width, height, color
+     */
+    static barChart(data, options = {}) {
+        const width = options.width || 600;
+        const height = options.height || 200;
+        const color = options.color || '#007bff';
+        const padding = { top: 20, bottom: 24, side: 8 };
+
+        if (data.length === 0) {
+            return SafeHtml.html``;
+        }
+
+        const max = Math.max(...data.map(point => point.value), 1);
+        const slot = (width - padding.side * 2) / data.length;
+        const barWidth = Math.max(slot * 0.7, 2);
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const bars = data.map((point, index) => {
+            const barHeight = (point.value / max) * chartHeight;
+            const x = padding.side + index * slot + (slot - barWidth) / 2;
+            const y = padding.top + chartHeight - barHeight;
+            const center = x + barWidth / 2;
+
+            return SafeHtml.html`
+                <g>
+                    <title>${point.label}: ${point.value}</title>
+                    <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}" rx="2"></rect>
+                    <text x="${center.toFixed(1)}" y="${(y - 4).toFixed(1)}" text-anchor="middle" font-size="11" fill="#6c757d">${point.value}</text>
+                    <text x="${center.toFixed(1)}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#6c757d">${point.label}</text>
+                </g>
+            `;
+        });
+
+        return SafeHtml.html`
+            <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${options.title || 'Bar chart'}" preserveAspectRatio="xMidYMid meet">
+                <line x1="${padding.side}" y1="${padding.top + chartHeight}" x2="${width - padding.side}" y2="${padding.top + chartHeight}" stroke="#dee2e6"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+
+    /**
+     * Gantt-style timeline with one row per [{ label, title, start, end, color }] item,
+     * where start and end are whole years and a bar covers both of them.
+     * Options: title (accessible name), width, rowHeight, marker (year, possibly fractional, shown as a dashed line)
+     */
+    static ganttChart(rows, options = {}) {
+        const width = options.width || 600;
+        const rowHeight = options.rowHeight || 22;
+        const padding = { top: 8, bottom: 24, label: 90, side: 8 };
+
+        if (rows.length === 0) {
+            return SafeHtml.html``;
+        }
+
+        // The axis covers every bar and the marker year
+        const years = rows.map(row => row.start).concat(rows.map(row => row.end));
+        if (options.marker !== undefined) years.push(Math.floor(options.marker));
+        const first = Math.min(...years);
+        const last = Math.max(...years) + 1;
+        const span = Math.max(last - first, 1);
+        const plotWidth = width - padding.label - padding.side;
+        const height = padding.top + rows.length * rowHeight + padding.bottom;
+        const x = year => padding.label + ((year - first) / span) * plotWidth;
+
+        const ticks = [];
+        for (let year = first; year <= last; year++) {
+            ticks.push(SafeHtml.html`
+                <line x1="${x(year).toFixed(1)}" y1="${padding.top}" x2="${x(year).toFixed(1)}" y2="${height - padding.bottom}" stroke="#dee2e6"></line>
+                ${year < last ? SafeHtml.html`<text x="${(x(year) + plotWidth / span / 2).toFixed(1)}" y="${height - 8}" text-anchor="middle" font-size="11" fill="#6c757d">${year}</text>` : ''}
+            `);
+        }
+
+        const bars = rows.map((row, index) => {
+            const y = padding.top + index * rowHeight;
+            return SafeHtml.html`
+                <g>
+                    <title>${row.title || row.label}: ${row.start} - ${row.end}</title>
+                    <text x="${padding.label - 6}" y="${(y + rowHeight / 2 + 4).toFixed(1)}" text-anchor="end" font-size="11" fill="#212529">${row.label}</text>
+                    <rect x="${x(row.start).toFixed(1)}" y="${(y + 4).toFixed(1)}" width="${(x(row.end + 1) - x(row.start)).toFixed(1)}" height="${rowHeight - 8}" fill="${row.color || '#007bff'}" rx="3"></rect>
+                </g>
+            `;
+        });
+
+        const marker = options.marker !== undefined ? SafeHtml.html`
+            <line x1="${x(options.marker).toFixed(1)}" y1="${padding.top}" x2="${x(options.marker).toFixed(1)}" y2="${height - padding.bottom}" stroke="#dc3545" stroke-dasharray="4 3"></line>
+        ` : '';
+
+        return SafeHtml.html`
+            <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${options.title || 'Timeline'}" preserveAspectRatio="xMidYMid meet">
+                ${ticks}
+                ${bars}
+                ${marker}
+            </svg>
+        `;
+    }
+
+    /**
+     * Network of [{ id, label, x, y, radius, color, title, minor }] nodes joined by
+     * [{ source, target, width, title }] links, with positions already laid out in the
+     * width x height box. Nodes are focusable buttons carrying data-node-id; labels of
+     * minor nodes get the network-label-minor class so CSS can show them on hover only.
+     * Options: title (accessible name), width, height
+     */
+    static networkChart(nodes, links, options = {}) {
+        const width = options.width || 600;
+        const height = options.height || 420;
+
+        if (nodes.length === 0) {
+            return SafeHtml.html``;
+        }
+
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const lines = links.map(link => {
+            const source = byId.get(link.source);
+            const target = byId.get(link.target);
+            return SafeHtml.html`
+                <line class="network-link" data-source="${link.source}" data-target="${link.target}" x1="${source.x.toFixed(1)}" y1="${source.y.toFixed(1)}" x2="${target.x.toFixed(1)}" y2="${target.y.toFixed(1)}" stroke="#adb5bd" stroke-width="${link.width.toFixed(1)}" stroke-opacity="0.7"><title>${link.title}</title></line>
+            `;
+        });
+
+        const circles = nodes.map(node => {
+            // Labels go on the side of the node facing away from the centre
+            const right = node.x >= width / 2;
+            return SafeHtml.html`
+                <g class="network-node" data-node-id="${node.id}" tabindex="0" role="button" aria-label="${node.title}">
+                    <title>${node.title}</title>
+                    <circle cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${node.radius.toFixed(1)}" fill="${node.color}" stroke="#fff" stroke-width="1.5"></circle>
+                    <text class="${node.minor ? 'network-label-minor' : 'network-label'}" x="${(node.x + (right ? 1 : -1) * (node.radius + 4)).toFixed(1)}" y="${(node.y + 4).toFixed(1)}" text-anchor="${right ? 'start' : 'end'}" font-size="11" fill="#212529">${node.label}</text>
+                </g>
+            `;
+        });
+
+        return SafeHtml.html`
+            <svg class="svg-chart network-chart" viewBox="0 0 ${width} ${height}" width="100%" role="group" aria-label="${options.title || 'Network'}" preserveAspectRatio="xMidYMid meet">
+                ${lines}
+                ${circles}
+            </svg>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgCharts;
+}
@@ -0,0 +1,221 @@
+/**
+ * Service Worker
+ * Makes the site installable and usable offline. On install it precaches the page
+ * and everything index.html references (scripts, stylesheets, portfolio images and
+ * the CDN libraries), plus the data snapshots. Site files are served network-first
+ * so updates show straight away; CDN files cache-first. Responses fetched for the
+ * publications and grants (through the CORS proxies, ORCID and Crossref) are kept in
+ * a data cache and served from it when the network fails, stamped with the time they
+ * were saved so ProxyFetcher can tell the modals they are showing stale data.
+ */
+
+class OfflineCache {
+    /**
+     * Bump to drop every cache written by an older version of this file
+     */
+    static get VERSION() {
+        return 'v1';
+    }
+
+    /**
+     * Cache names: the site shell (page, assets and CDN files) and the fetched data
+     */
+    static get CACHES() {
+        return {
+            shell: `mebikarbonat-shell-${OfflineCache.VERSION}`,
+            data: `mebikarbonat-data-${OfflineCache.VERSION}`
+        };
+    }
+
+    /**
+     * Files not referenced by index.html itself, fetched by the scripts or the browser
+     */
+    static get PRECACHE() {
+        return [
+            './',
+            'index.html',
+            'site.webmanifest',
+            'favicon.ico',
+            'data/publications.json',
+            'data/grants.json',
+            'data/portfolio.json',
+            'android-chrome-192x192.png',
+            'android-chrome-512x512.png'
+        ];
+    }
+
+    /**
+     * Hosts of the libraries loaded from CDNs, which never change under the same URL
+     */
+    static get CDN_HOSTS() {
+        return ['cdnjs.cloudflare.com', 'stackpath.bootstrapcdn.com'];
+    }
+
+    /**
+     * Hosts that must always go to the network (analytics)
+     */
+    static get BYPASS_HOSTS() {
+        return ['www.googletagmanager.com', 'www.google-analytics.com'];
+    }
+
+    /**
+     * Response header carrying the time a data response was saved; ProxyFetcher reads it
+     */
+    static get CACHED_AT_HEADER() {
+        return 'X-SW-Cached-At';
+    }
+
+    /**
+     * Local and CDN files referenced by src and href attributes in the page
+     */
+    static assetsIn(html, base) {
+        const urls = new Set();
+        Array.from(html.matchAll(/\s(?:src|href)="([^"#]+)"/g)).forEach(([, value]) => {
+            const url = new URL(value, base);
+            const local = url.origin === self.location.origin;
+            if ((local && /\.\w+$/.test(url.pathname)) || OfflineCache.CDN_HOSTS.includes(url.hostname)) {
+                urls.add(url.href);
+            }
+        });
+        return Array.from(urls);
+    }
+
+    /**
+     * Fill the shell cache. A file that fails to download is skipped rather than failing
+     * the install, so one missing image does not leave the site without offline support.
+     */
+    static async precache() {
+        const cache = await caches.open(OfflineCache.CACHES.shell);
+        const page = await fetch('index.html', { cache: 'no-cache' });
+        const html = await page.clone().text();
+        await cache.put('index.html', page);
+
+        const urls = OfflineCache.PRECACHE.map(url => new URL(url, self.location.href).href)
+            .concat(OfflineCache.assetsIn(html, self.location.href));
+
+        await Promise.all(Array.from(new Set(urls)).map(async url => {
+            try {
+                const local = new URL(url).origin === self.location.origin;
+                const response = await fetch(url, { mode: local ? 'same-origin' : 'cors', cache: 'no-cache' });
+                if (response.ok) {
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                console.error(`Error precaching ${url}:`, error);
+            }
+        }));
+    }
+
+    /**
+     * Delete the caches of older versions
+     */
+    static async cleanUp() {
+        const current = Object.values(OfflineCache.CACHES);
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('mebikarbonat-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+    }
+
+    /**
+     * Pick the strategy for a request, or null to leave it to the browser
+     */
+    static handle(request) {
+        if (request.method !== 'GET') return null;
+
+        const url = new URL(request.url);
+        if (url.origin === self.location.origin) {
+            return OfflineCache.networkFirst(request);
+        }
+        if (OfflineCache.CDN_HOSTS.includes(url.hostname)) {
+            return OfflineCache.cacheFirst(request);
+        }
+        if (OfflineCache.BYPASS_HOSTS.includes(url.hostname) || !/^https?:$/.test(url.protocol)) {
+            return null;
+        }
+        return OfflineCache.dataNetworkFirst(request);
+    }
+
+    /**
+     * Site files: the network when it answers, otherwise the cached copy. Pages are looked up
+     * without their query (?lang=ms, ?live) and fall back to index.html.
+     */
+    static async networkFirst(request) {
+        const cache = await caches.open(OfflineCache.CACHES.shell);
+        try {
+            const response = await fetch(request);
+            if (response.ok) {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        } catch (error) {
+            const isPage = request.mode === 'navigate';
+            const cached = await cache.match(request, { ignoreSearch: isPage }) ||
+                (isPage ? await cache.match('index.html') : null);
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    /**
+     * CDN libraries: the cached copy when there is one, otherwise the network
+     */
+    static async cacheFirst(request) {
+        const cache = await caches.open(OfflineCache.CACHES.shell);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok && response.type !== 'opaque') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    }
+
+    /**
+     * Fetched data: the network when it answers, otherwise the last successful response,
+     * stamped with the time it was saved
+     */
+    static async dataNetworkFirst(request) {
+        const cache = await caches.open(OfflineCache.CACHES.data);
+        try {
+            const response = await fetch(request);
+            if (response.ok && response.type !== 'opaque') {
+                await cache.put(request, await OfflineCache.stamp(response.clone()));
+            }
+            return response;
+        } catch (error) {
+            const cached = await cache.match(request);
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    /**
+     * Copy of a response with the current time in CACHED_AT_HEADER
+     */
+    static async stamp(response) {
+        const headers = new Headers(response.headers);
+        headers.set(OfflineCache.CACHED_AT_HEADER, new Date().toISOString());
+        return new Response(await response.blob(), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        });
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(OfflineCache.precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(OfflineCache.cleanUp().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const response = OfflineCache.handle(event.request);
+    if (response) {
+        event.respondWith(response);
+    }
+});
@@ -0,0 +1,151 @@
+/**
+ * ContactForm on the form from index.html, sending to a mock endpoint
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, mockFetch } = require('./helpers.js');
+
+const ENDPOINT = 'https://forms.test/f/abc123';
+
+const page = new JSDOM(fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')).window.document;
+const FORM = page.getElementById('contactForm').outerHTML;
+const ENDPOINT_META = page.querySelector('meta[name="contact-endpoint"]').outerHTML;
+
+const VALUES = {
+    name: 'Siti Aminah',
+    email: 'siti@example.org',
+    subject: 'Research collaboration',
+    message: 'I would like to talk about a joint grant application.'
+};
+
+/**
+ * A fresh copy of the form in its own document, filled in with values
+ */
+function fillForm(values = VALUES) {
+    const { document } = new JSDOM(`<!doctype html><html><head>${ENDPOINT_META}</head><body>${FORM}</body></html>`).window;
+    const form = document.getElementById('contactForm');
+    Object.entries(values).forEach(([field, value]) => {
+        form.elements[field].value = value;
+    });
+    return form;
+}
+
+/**
+ * The alert shown below the form as { kind, text, mailto }
+ */
+function status(form) {
+    const alert = form.querySelector('[data-contact-status] .alert');
+    const link = alert && alert.querySelector('a');
+    return alert && {
+        kind: /alert-(\w+)/.exec(alert.className)[1],
+        text: alert.textContent,
+        mailto: link ? link.getAttribute('href') : null
+    };
+}
+
+/**
+ * A ContactForm posting to handler, started long enough ago to pass the time check
+ */
+function contactForm(form, handler, options = {}) {
+    const fetch = mockFetch(handler);
+    const contact = new ContactForm(form, { endpoint: ENDPOINT, fetch, ...options });
+    contact.startedAt = Date.now() - 10000;
+    return { contact, fetch };
+}
+
+test('ContactForm', async (t) => {
+    await t.test('posts the message as JSON and thanks the visitor', async () => {
+        const form = fillForm();
+        const { contact, fetch } = contactForm(form, () => ({ ok: true, next: '/thanks' }));
+
+        await contact.submit();
+
+        assert.strictEqual(fetch.calls.length, 1);
+        assert.strictEqual(fetch.calls[0].url, ENDPOINT);
+        assert.strictEqual(fetch.calls[0].options.method, 'POST');
+        assert.strictEqual(fetch.calls[0].options.headers['Content-Type'], 'application/json');
+        assert.deepStrictEqual(JSON.parse(fetch.calls[0].options.body), { ...VALUES, _replyto: VALUES.email });
+        assert.deepStrictEqual(status(form), { kind: 'success', text: 'Thank you! Your message has been sent.', mailto: null });
+        assert.strictEqual(form.elements.message.value, '');
+        assert.strictEqual(form.querySelector('[type="submit"]').disabled, false);
+    });
+
+    await t.test('pretends to accept a message with the honeypot filled in, without sending it', async () => {
+        const form = fillForm({ ...VALUES, _gotcha: 'http://spam.example' });
+        const { contact, fetch } = contactForm(form, () => ({ ok: true }));
+
+        await contact.submit();
+
+        assert.strictEqual(fetch.calls.length, 0);
+        assert.strictEqual(status(form).kind, 'success');
+        assert.strictEqual(form.elements._gotcha.value, '');
+    });
+
+    await t.test('holds back a message sent faster than minSeconds and restarts the clock', async () => {
+        const form = fillForm();
+        const { contact, fetch } = contactForm(form, () => ({ ok: true }), { minSeconds: 3 });
+        contact.startedAt = Date.now() - 1000;
+
+        await contact.submit();
+
+        assert.strictEqual(fetch.calls.length, 0);
+        assert.deepStrictEqual(status(form), { kind: 'warning', text: 'That was quick! Please check your message and send it again.', mailto: null });
+        assert.ok(Date.now() - contact.startedAt < 1000);
+        assert.strictEqual(form.elements.message.value, VALUES.message);
+    });
+
+    await t.test('marks invalid fields and does not send', async () => {
+        const form = fillForm({ name: '', email: 'not-an-address', subject: '', message: 'Too short' });
+        const { contact, fetch } = contactForm(form, () => ({ ok: true }));
+
+        await contact.submit();
+
+        assert.strictEqual(fetch.calls.length, 0);
+        assert.strictEqual(status(form).kind, 'danger');
+        assert.deepStrictEqual(['name', 'email', 'subject', 'message'].map(field => form.elements[field].getAttribute('aria-invalid')), ['true', 'true', 'false', 'true']);
+        assert.strictEqual(form.querySelector('[data-feedback-for="email"]').textContent, 'Please enter a valid email address.');
+        assert.strictEqual(form.querySelector('[data-feedback-for="message"]').textContent, 'Message must be at least 10 characters.');
+    });
+
+    await t.test('reports the endpoint\'s errors and offers the message by email', async () => {
+        const form = fillForm();
+        const { contact } = contactForm(form, () => ({ status: 422, body: { errors: [{ message: 'should be an email' }] } }));
+        t.mock.method(console, 'error', () => {});
+
+        await contact.submit();
+
+        const shown = status(form);
+        assert.strictEqual(shown.kind, 'danger');
+        assert.strictEqual(shown.text, 'Sorry, your message could not be sent (should be an email). Send it by email instead.');
+        assert.strictEqual(shown.mailto, ContactForm.mailtoUrl('mazizi@fskm.uitm.edu.my', VALUES));
+        assert.strictEqual(form.elements.message.value, VALUES.message);
+    });
+
+    await t.test('falls back to the mail app when <meta name="contact-endpoint"> is empty', async () => {
+        const form = fillForm();
+        global.document = form.ownerDocument;
+        global.window = { location: { href: 'https://example.test/' } };
+        t.after(() => {
+            delete global.document;
+            delete global.window;
+        });
+
+        const fetch = mockFetch(() => ({ ok: true }));
+        const contact = new ContactForm(form, { fetch });
+        contact.startedAt = Date.now() - 10000;
+        await contact.submit();
+
+        assert.strictEqual(contact.endpoint, '');
+        assert.strictEqual(fetch.calls.length, 0);
+        assert.strictEqual(status(form).kind, 'info');
+
+        const mailto = new URL(window.location.href);
+        assert.strictEqual(mailto.protocol, 'mailto:');
+        assert.strictEqual(mailto.pathname, 'mazizi@fskm.uitm.edu.my');
+        assert.strictEqual(mailto.searchParams.get('subject'), VALUES.subject);
+        assert.strictEqual(mailto.searchParams.get('body'), `${VALUES.message}\n\n${VALUES.name} <${VALUES.email}>`);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * CrossrefEnricher against a mocked Crossref API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch } = require('./helpers.js');
+
+const API = 'https://crossref.test';
+
+const NETWORK = {
+    id: '2020-network-traffic-profiling-using-data-mining-technique-in-cam',
+    title: 'Network traffic profiling using data mining technique in campus environment',
+    authors: 'M. A. M. Ariffin, R. Ishak, S. A. Ahmad, and Z. Kasiran',
+    venue: 'International Journal of Advanced Trends in Computer Science and Engineering',
+    year: '2020',
+    citations: '15',
+    link: '#'
+};
+
+/**
+ * A Crossref work as the API returns it
+ */
+function work(overrides = {}) {
+    return {
+        DOI: '10.5555/ijatcse.2020.001',
+        URL: 'https://doi.org/10.5555/ijatcse.2020.001',
+        resource: { primary: { URL: 'https://www.warse.org/IJATCSE/static/pdf/file/ijatcse001.pdf' } },
+        title: [NETWORK.title],
+        author: [{ given: 'Muhammad Azizi Mohd', family: 'Ariffin' }, { given: 'Rozita', family: 'Ishak' }],
+        issued: { 'date-parts': [[2020, 6]] },
+        volume: '9',
+        issue: '1.4',
+        page: '123-130',
+        ISSN: ['2278-3091'],
+        ...overrides
+    };
+}
+
+/**
+ * An enricher whose requests go to handler(url) and whose cache starts empty
+ */
+function enricher(handler, options = {}) {
+    localStorage.clear();
+    global.fetch = mockFetch(handler);
+    return new CrossrefEnricher({
+        apiUrl: API,
+        proxyFetcher: new ProxyFetcher({ proxies: [{ name: 'direct', url: null }], retries: 0 }),
+        ...options
+    });
+}
+
+test('CrossrefEnricher', async (t) => {
+    const originalFetch = global.fetch;
+    t.after(() => {
+        global.fetch = originalFetch;
+    });
+
+    await t.test('resolves a known DOI directly and fills in the missing fields', async () => {
+        const crossref = enricher(() => ({ status: 'ok', message: work() }), { mailto: 'site@example.org' });
+
+        const { publications, updated } = await crossref.enrich([{ ...NETWORK, doi: '10.5555/ijatcse.2020.001', volume: '10' }]);
+
+        assert.deepStrictEqual(fetch.calls.map(call => call.url), [`${API}/works/10.5555%2Fijatcse.2020.001?mailto=site%40example.org`]);
+        assert.strictEqual(updated, 1);
+        assert.deepStrictEqual(publications[0], {
+            ...NETWORK,
+            doi: '10.5555/ijatcse.2020.001',
+            url: 'https://www.warse.org/IJATCSE/static/pdf/file/ijatcse001.pdf',
+            volume: '10',
+            issue: '1.4',
+            pages: '123-130',
+            issn: '2278-3091',
+            link: 'https://doi.org/10.5555/ijatcse.2020.001'
+        });
+    });
+
+    await t.test('searches by title and first author and takes the first result that matches', async () => {
+        const crossref = enricher(() => ({
+            status: 'ok',
+            message: {
+                items: [
+                    work({ DOI: '10.5555/other', title: ['Traffic profiling of campus networks with deep learning'] }),
+                    work()
+                ]
+            }
+        }));
+
+        const { publications } = await crossref.enrich([NETWORK]);
+        const query = new URL(fetch.calls[0].url).searchParams;
+
+        assert.strictEqual(query.get('query.bibliographic'), NETWORK.title);
+        assert.strictEqual(query.get('query.author'), NETWORK.authors);
+        assert.strictEqual(query.get('rows'), '3');
+        assert.strictEqual(publications[0].doi, '10.5555/ijatcse.2020.001');
+    });
+
+    await t.test('keeps a link to the paper and replaces one back to Scholar', async () => {
+        const crossref = enricher(() => ({ status: 'ok', message: work() }));
+        const doi = '10.5555/ijatcse.2020.001';
+
+        const { publications } = await crossref.enrich([
+            { ...NETWORK, doi, link: 'https://publisher.example/paper' },
+            { ...NETWORK, doi, year: '2021', link: 'https://scholar.google.com/citations?view_op=view_citation&citation_for_view=a:b' }
+        ]);
+
+        assert.strictEqual(publications[0].link, 'https://publisher.example/paper');
+        assert.strictEqual(publications[1].link, `https://doi.org/${doi}`);
+    });
+
+    await t.test('accepts titles that differ in case, punctuation, a Scholar cut or one word in a long title', () => {
+        const crossref = enricher(() => null);
+        const long = 'A Case Study On Digital Divide And Access To Information Communication Technologies (Icts) In Pulau Tuba, Langkawi, Malaysia';
+        const pub = { ...NETWORK, title: long, year: '2021', authors: 'M. Ariffin' };
+
+        assert.ok(crossref.isMatch({ ...NETWORK, title: 'NETWORK TRAFFIC PROFILING USING DATA-MINING TECHNIQUE IN CAMPUS ENVIRONMENT.' }, work()));
+        assert.ok(crossref.isMatch({ ...pub, title: `${long.substring(0, 50)}...` }, work({ title: [long], issued: { 'date-parts': [[2021]] } })));
+        assert.ok(crossref.isMatch(pub, work({ title: [long.replace('Case Study', 'Study')], issued: { 'date-parts': [[2021]] } })));
+    });
+
+    await t.test('rejects results below the title threshold or with another year or first author', () => {
+        const crossref = enricher(() => null);
+
+        // Dice similarity of 0.8, under the 0.9 needed
+        assert.ok(!crossref.isMatch(NETWORK, work({ title: ['Network traffic profiling using machine learning technique in campus environment'] })));
+        assert.ok(!crossref.isMatch(NETWORK, work({ issued: { 'date-parts': [[2018]] } })));
+        assert.ok(!crossref.isMatch(NETWORK, work({ author: [{ given: 'Jane', family: 'Doe' }] })));
+        assert.ok(crossref.isMatch(NETWORK, work({ issued: { 'date-parts': [[2021]] } })));
+    });
+
+    await t.test('caches matches and misses so they are not looked up again', async () => {
+        const crossref = enricher(url => ({ status: 'ok', message: { items: url.includes('honeypot') ? [] : [work()] } }));
+        const honeypot = { ...NETWORK, title: 'Implementation Of Dynamic Honeypot On Raspberry Pi', year: '2021' };
+
+        const first = await crossref.enrich([NETWORK, honeypot]);
+        const second = await crossref.enrich([NETWORK, honeypot]);
+
+        assert.strictEqual(fetch.calls.length, 2);
+        assert.strictEqual(first.updated, 1);
+        assert.deepStrictEqual(second.publications, first.publications);
+        assert.deepStrictEqual(crossref.cache.read().records.map(record => record.metadata && record.metadata.doi), ['10.5555/ijatcse.2020.001', null]);
+    });
+
+    await t.test('spreads lookups over several runs with maxLookups', async () => {
+        const crossref = enricher(() => ({ status: 'ok', message: { items: [] } }), { maxLookups: 2 });
+        const pubs = [1, 2, 3].map(n => ({ ...NETWORK, title: `${NETWORK.title} part ${n}` }));
+
+        await crossref.enrich(pubs);
+        assert.strictEqual(fetch.calls.length, 2);
+
+        await crossref.enrich(pubs);
+        assert.strictEqual(fetch.calls.length, 3);
+        assert.ok(fetch.calls[2].url.includes('part+3'));
+    });
+
+    await t.test('leaves a publication as it is when Crossref rate-limits the lookup, and asks again next run', async () => {
+        let limited = true;
+        const crossref = enricher(() => (limited ? { status: 429, body: 'Too Many Requests' } : { status: 'ok', message: { items: [work()] } }));
+        const logged = [];
+        t.mock.method(console, 'error', (...args) => logged.push(args[0]));
+
+        const first = await crossref.enrich([NETWORK]);
+        assert.strictEqual(first.updated, 0);
+        assert.deepStrictEqual(first.publications, [NETWORK]);
+        assert.deepStrictEqual(logged, [`Error looking up "${NETWORK.title}" on Crossref:`]);
+
+        limited = false;
+        const second = await crossref.enrich([NETWORK]);
+        assert.strictEqual(fetch.calls.length, 2);
+        assert.strictEqual(second.publications[0].doi, '10.5555/ijatcse.2020.001');
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * GrantFields on every entry of the grants snapshot, and ExpertResearchGrants on the Expert page fixture
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixture } = require('./helpers.js');
+
+// The entries of data/grants.json in both layouts UiTM Expert uses, with the fields they must give
+const ENTRIES = [
+    {
+        text: 'KPM, Autonomous Anomaly Detection in Streaming Data, (Ref: RACER/1/2019/ICT02/UITM//4), Role: Team Member.',
+        fields: {
+            title: 'Autonomous Anomaly Detection in Streaming Data',
+            scheme: 'RACER',
+            sponsor: 'KPM',
+            reference: 'RACER/1/2019/ICT02/UITM//4',
+            startYear: null,
+            endYear: null,
+            amount: null,
+            role: 'Team Member',
+            team: []
+        }
+    },
+    {
+        text: 'UiTM LESTARI SDG@UiTM Grant, Web Based E Commerce System For Rural Products Commercialization In Pulau Tuba Langkawi, 600-RMC/LESTARI SDG-T 5/3 (142/2019), Role: Team Member.',
+        fields: {
+            title: 'Web Based E Commerce System For Rural Products Commercialization In Pulau Tuba Langkawi',
+            scheme: 'LESTARI',
+            sponsor: 'UiTM LESTARI SDG@UiTM Grant',
+            reference: '600-RMC/LESTARI SDG-T 5/3 (142/2019)',
+            startYear: null,
+            endYear: null,
+            amount: null,
+            role: 'Team Member',
+            team: []
+        }
+    },
+    {
+        text: 'NASOM, AUTISM JOURNEY DIRECTORY & DATA REPOSITORY SYSTEM, Role: Team Member.',
+        fields: {
+            title: 'AUTISM JOURNEY DIRECTORY & DATA REPOSITORY SYSTEM',
+            scheme: 'NASOM',
+            sponsor: 'NASOM',
+            reference: '',
+            startYear: null,
+            endYear: null,
+            amount: null,
+            role: 'Team Member',
+            team: []
+        }
+    },
+    {
+        text: 'Title : Portable Iot-based Smart Urban Farming: Technology Use Case Of Uitm And Unikom Bandung. Dr. Muhammad Izzad Bin Ramli, Profesor Dr Nursuriati Binti Jamil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2022, Other Grants, Project Member, RM 5,000.00',
+        fields: {
+            title: 'Portable Iot-based Smart Urban Farming: Technology Use Case Of Uitm And Unikom Bandung',
+            scheme: 'Other Grants',
+            sponsor: 'Other Grants',
+            reference: '',
+            startYear: 2021,
+            endYear: 2022,
+            amount: 5000,
+            role: 'Project Member',
+            team: [
+                'Dr. Muhammad Izzad Bin Ramli',
+                'Profesor Dr Nursuriati Binti Jamil',
+                'Ts. Muhammad Azizi Bin Mohd Ariffin'
+            ]
+        }
+    },
+    {
+        text: 'Title : Downtime Analysis For Uitm Data Centre. Profesor Dr Jasni Binti Mohamad Zain, Profesor Madya Dr Kamarularifin Bin Abd Jalil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2020 - 2023, Special Research Grant (GPK), Project Member, RM 20,000.00.',
+        fields: {
+            title: 'Downtime Analysis For Uitm Data Centre',
+            scheme: 'GPK',
+            sponsor: 'Special Research Grant (GPK)',
+            reference: '',
+            startYear: 2020,
+            endYear: 2023,
+            amount: 20000,
+            role: 'Project Member',
+            team: [
+                'Profesor Dr Jasni Binti Mohamad Zain',
+                'Profesor Madya Dr Kamarularifin Bin Abd Jalil',
+                'Ts. Muhammad Azizi Bin Mohd Ariffin'
+            ]
+        }
+    },
+    {
+        text: 'Title : A New Technique To Ensure High Availability Of Software Application Services By Utilizing Fog Devices Resource Capabilities. Profesor Dr Jasni Binti Mohamad Zain, Luhur Bayuaji, Norkhushaini Bt Awang, Profesor Madya Dr Kamarularifin Bin Abd Jalil, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2024, Fundamental Research Grant Scheme (FRGS), Project Member, RM 105,300.00',
+        fields: {
+            title: 'A New Technique To Ensure High Availability Of Software Application Services By Utilizing Fog Devices Resource Capabilities',
+            scheme: 'FRGS',
+            sponsor: 'Fundamental Research Grant Scheme (FRGS)',
+            reference: '',
+            startYear: 2021,
+            endYear: 2024,
+            amount: 105300,
+            role: 'Project Member',
+            team: [
+                'Profesor Dr Jasni Binti Mohamad Zain',
+                'Luhur Bayuaji',
+                'Norkhushaini Bt Awang',
+                'Profesor Madya Dr Kamarularifin Bin Abd Jalil',
+                'Ts. Muhammad Azizi Bin Mohd Ariffin'
+            ]
+        }
+    },
+    {
+        text: 'Title : Coupled Hybrid Feature Extraction And Classification Of Radar Reflectivity Images For Convective-stratiform Tropical Rainfall Estimates. Profesor Ts. Dr. Wardah Binti Tahir, Profesor Madya Zaidah Binti Ibrahim, Profesor Madya Ir.ts.dr Jazuri Bin Abdullah, Ir. Dr. Suzana Binti Ramli, Ts. Muhammad Azizi Bin Mohd Ariffin, 2021 - 2024, Fundamental Research Grant Scheme (FRGS), Project Member, RM 137,500.00',
+        fields: {
+            title: 'Coupled Hybrid Feature Extraction And Classification Of Radar Reflectivity Images For Convective-stratiform Tropical Rainfall Estimates',
+            scheme: 'FRGS',
+            sponsor: 'Fundamental Research Grant Scheme (FRGS)',
+            reference: '',
+            startYear: 2021,
+            endYear: 2024,
+            amount: 137500,
+            role: 'Project Member',
+            team: [
+                'Profesor Ts. Dr. Wardah Binti Tahir',
+                'Profesor Madya Zaidah Binti Ibrahim',
+                'Profesor Madya Ir.ts.dr Jazuri Bin Abdullah',
+                'Ir. Dr. Suzana Binti Ramli',
+                'Ts. Muhammad Azizi Bin Mohd Ariffin'
+            ]
+        }
+    }
+];
+
+test('GrantFields', async (t) => {
+    for (const entry of ENTRIES) {
+        await t.test(`parses "${entry.text.substring(0, 50)}..."`, () => {
+            assert.deepStrictEqual(GrantFields.parse(entry.text), entry.fields);
+        });
+    }
+
+    await t.test('keeps a title with full stops in it whole', () => {
+        const fields = GrantFields.parse('Title : Dr. Smith et al. study. X, 2022 - 2025, FRGS, Project Member');
+
+        assert.strictEqual(fields.title, 'Dr. Smith et al. study');
+        assert.deepStrictEqual(fields.team, ['X']);
+        assert.strictEqual(fields.scheme, 'FRGS');
+        assert.strictEqual(fields.role, 'Project Member');
+        assert.deepStrictEqual([fields.startYear, fields.endYear], [2022, 2025]);
+    });
+
+    await t.test('does not end the title at honorifics or initials in the team list', () => {
+        const fields = GrantFields.parse('Title : Smart Farming Vol. 2. Ts. M. A. Ariffin, Prof. Dr. N. Jamil, 2021 - 2022, Other Grants, Project Member, RM 5,000.00');
+
+        assert.strictEqual(fields.title, 'Smart Farming Vol. 2');
+        assert.deepStrictEqual(fields.team, ['Ts. M. A. Ariffin', 'Prof. Dr. N. Jamil']);
+        assert.strictEqual(fields.amount, 5000);
+    });
+
+    await t.test('reads a titled entry without a team', () => {
+        const fields = GrantFields.parse('Title : Downtime Analysis For Uitm Data Centre. 2020 - 2023, Special Research Grant (GPK), Project Member');
+
+        assert.strictEqual(fields.title, 'Downtime Analysis For Uitm Data Centre');
+        assert.deepStrictEqual(fields.team, []);
+        assert.strictEqual(fields.scheme, 'GPK');
+    });
+
+    await t.test('tells grants from other rows', () => {
+        assert.ok(GrantFields.isGrant(GrantFields.parse(ENTRIES[2].text)));
+        assert.ok(!GrantFields.isGrant(GrantFields.parse('Home')));
+        assert.ok(!GrantFields.isGrant(GrantFields.parse('Universiti Teknologi MARA, Shah Alam, Selangor')));
+    });
+});
+
+test('ExpertResearchGrants parses the Expert page fixture', () => {
+    const grants = new ExpertResearchGrants().parseResearchGrants(fixture('expert-profile.html'));
+
+    assert.deepStrictEqual(grants.map(grant => grant.id), [1, 2, 3, 4, 5, 6, 7]);
+    grants.forEach((grant, index) => {
+        const { id, details, type, ...fields } = grant;
+        assert.deepStrictEqual(fields, ENTRIES[index].fields);
+        assert.strictEqual(details, ENTRIES[index].text);
+        assert.strictEqual(type, fields.scheme || 'Research Grant');
+    });
+});
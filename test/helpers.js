@@ -0,0 +1,109 @@
+/**
+ * Test Helpers
+ * Loads the browser classes under Node the way tools/build-data.js does: DOMParser
+ * and localStorage come from jsdom and every script the classes rely on is defined as a global first.
+ *
+ * Run the suite from the repository root (Node 18+):
+ *   npm install --no-save jsdom
+ *   node --test test/*.test.js
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// DataCache and the saved preferences need localStorage, which jsdom keeps per origin
+const { window } = new JSDOM('', { url: 'https://example.test/' });
+global.DOMParser = window.DOMParser;
+global.localStorage = window.localStorage;
+
+// The same order as the <script> tags in index.html
+[
+    ['ContactForm', 'contact-form.js'],
+    ['SafeHtml', 'safe-html.js'],
+    ['I18n', 'i18n.js'],
+    ['OfflineSupport', 'offline-support.js'],
+    ['ProxyFetcher', 'proxy-fetch.js'],
+    ['DataSnapshot', 'data-snapshot.js'],
+    ['DataCache', 'data-cache.js'],
+    ['PublicationFields', 'publication-fields.js'],
+    ['CitationExporter', 'citation-export.js'],
+    ['CitationFormatter', 'citation-format.js'],
+    ['PublicationFilter', 'publication-filter.js'],
+    ['SvgCharts', 'svg-charts.js'],
+    ['CitationMetrics', 'citation-metrics.js'],
+    ['PublicationMerger', 'publication-merge.js'],
+    ['CrossrefEnricher', 'crossref-enrich.js'],
+    ['ScrapeDiagnostics', 'scrape-diagnostics.js'],
+    ['OrcidPublications', 'orcid-publications.js'],
+    ['ScholarCitationDetails', 'scholar-citation.js'],
+    ['ScholarPublications', 'scholar-publications.js'],
+    ['GrantFields', 'grant-fields.js'],
+    ['GrantStatus', 'grant-status.js'],
+    ['GrantSummary', 'grant-summary.js'],
+    ['ExpertResearchGrants', 'expert-research.js'],
+    ['ModalRouter', 'modal-router.js']
+].forEach(([name, file]) => {
+    global[name] = require(path.join(__dirname, '..', 'js', file));
+});
+
+/**
+ * Contents of a file in test/fixtures
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Serve fixtures on a local port, e.g. { '/works': 'orcid/works.json' }. Other paths get 404.
+ * Resolves to { url, requests, close }, where requests lists every path asked for.
+ */
+async function serveFixtures(routes) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const pathname = decodeURIComponent(new URL(request.url, 'http://fixtures').pathname);
+        requests.push(pathname);
+
+        if (pathname in routes) {
+            response.setHeader('Content-Type', 'application/json');
+            response.end(fixture(routes[pathname]));
+        } else {
+            response.statusCode = 404;
+            response.end('Not found');
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * A fetch() stand-in answering from a handler(url, options) that returns
+ * { status, body, headers } with a numeric status, or any other value for a 200 JSON response.
+ * Every call is kept in calls.
+ */
+function mockFetch(handler) {
+    const calls = [];
+    const fetch = async (url, options = {}) => {
+        calls.push({ url: String(url), options });
+        const result = await handler(String(url), options);
+        const response = result && typeof result.status === 'number' ? result : { status: 200, body: result };
+        const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            headers: new Map(Object.entries(response.headers || {})),
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+module.exports = { JSDOM, fixture, serveFixtures, mockFetch };
@@ -0,0 +1,136 @@
+/**
+ * ModalRouter on a jsdom page, with the Bootstrap modal plugin replaced by a stand-in
+ * whose .fade modals finish hiding only when the test says so
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('./helpers.js');
+
+const ROUTES = ['publications', 'grants', 'network'];
+
+/**
+ * A page with routed modals at url, and a router for it (not started). Opening and closing
+ * a modal are logged in order; fadeOut(route) ends a hide the way Bootstrap's transition does.
+ */
+function routedPage(url) {
+    const { window } = new JSDOM(`<!doctype html><body>${ROUTES.map(route => `<div class="portfolio-modal modal fade" data-route="${route}"></div>`).join('')}</body>`, { url });
+    const handlers = [];
+    const log = [];
+    const trigger = (element, event) => {
+        handlers.filter(entry => entry.element === element && entry.event === event).forEach(entry => {
+            if (entry.once) handlers.splice(handlers.indexOf(entry), 1);
+            entry.handler();
+        });
+    };
+
+    global.$ = element => ({
+        on: (event, handler) => handlers.push({ element, event, handler, once: false }),
+        one: (event, handler) => handlers.push({ element, event, handler, once: true }),
+        modal: action => {
+            log.push(`${action} ${element.dataset.route}`);
+            if (action === 'show') trigger(element, 'show.bs.modal');
+        }
+    });
+
+    const modal = route => window.document.querySelector(`[data-route="${route}"]`);
+    return {
+        window,
+        router: new ModalRouter({ window, document: window.document }),
+        log,
+        modal,
+        fadeOut: route => trigger(modal(route), 'hidden.bs.modal'),
+        // Back and Forward move the history first and tell the router through popstate
+        traverse: steps => new Promise(resolve => {
+            window.addEventListener('popstate', () => setTimeout(resolve), { once: true });
+            window.history.go(steps);
+        })
+    };
+}
+
+test('ModalRouter', async (t) => {
+    t.after(() => {
+        delete global.$;
+    });
+
+    await t.test('parses and formats #/ routes with their parameters', () => {
+        const parsed = ModalRouter.parse('#/Publications?q=malware&from=2020');
+
+        assert.strictEqual(parsed.route, 'publications');
+        assert.strictEqual(parsed.params.get('q'), 'malware');
+        assert.strictEqual(parsed.params.get('from'), '2020');
+        assert.strictEqual(ModalRouter.parse('#/grants/').route, 'grants');
+        assert.strictEqual(ModalRouter.parse('#about'), null);
+        assert.strictEqual(ModalRouter.parse(''), null);
+
+        assert.strictEqual(ModalRouter.format('grants'), '#/grants');
+        assert.strictEqual(ModalRouter.format('publications', { q: 'deep learning', from: '2020' }), '#/publications?q=deep+learning&from=2020');
+        assert.strictEqual(ModalRouter.format('network', {}), '#/network');
+    });
+
+    await t.test('opens the modal of the route it lands on, with the page underneath in the history', () => {
+        const { window, router, log, modal } = routedPage('https://example.test/?lang=ms#/publications?q=malware');
+        const events = [];
+        modal('publications').addEventListener('route', event => events.push(event.detail.params.get('q')));
+
+        router.start();
+
+        assert.deepStrictEqual(log, ['show publications']);
+        assert.deepStrictEqual(events, ['malware']);
+        assert.strictEqual(window.history.length, 2);
+        assert.deepStrictEqual(window.history.state, { modalRoute: 'publications', depth: 1 });
+        assert.strictEqual(router.depth, 1);
+    });
+
+    await t.test('counts route entries from modals and #/ links, and closing goes back over all of them', async () => {
+        const { window, router, log, modal, fadeOut, traverse } = routedPage('https://example.test/');
+        router.start();
+
+        $(modal('grants')).modal('show');
+        assert.deepStrictEqual(window.history.state, { modalRoute: 'grants', depth: 1 });
+        assert.strictEqual(window.location.hash, '#/grants');
+
+        // A #/network link inside the open modal
+        window.history.pushState(null, '', '#/network');
+        router.sync();
+        assert.strictEqual(router.depth, 2);
+        assert.deepStrictEqual(window.history.state, { modalRoute: 'network', depth: 2 });
+
+        fadeOut('grants');
+        $(modal('network')).modal('hide');
+        fadeOut('network');
+        await new Promise(resolve => window.addEventListener('popstate', () => setTimeout(resolve), { once: true }));
+
+        assert.deepStrictEqual(log, ['show grants', 'hide grants', 'show network', 'hide network']);
+        assert.strictEqual(window.location.hash, '');
+        assert.strictEqual(router.depth, 0);
+        assert.strictEqual(router.openRoute, null);
+
+        // Forward comes back to the last route
+        await traverse(2);
+        assert.strictEqual(router.depth, 2);
+        assert.deepStrictEqual(log.slice(4), ['show network']);
+    });
+
+    await t.test('switching routes shows the next modal only after the open one has faded out', async () => {
+        const { window, router, log, fadeOut, traverse } = routedPage('https://example.test/#/publications');
+        router.start();
+
+        window.history.pushState(null, '', '#/network');
+        router.sync();
+        assert.deepStrictEqual(log, ['show publications', 'hide publications']);
+        assert.strictEqual(router.openRoute, 'publications');
+
+        fadeOut('publications');
+        assert.deepStrictEqual(log, ['show publications', 'hide publications', 'show network']);
+        assert.strictEqual(router.openRoute, 'network');
+
+        // Back to the publications: the same wait the other way round, and nothing pops the history
+        await traverse(-1);
+        assert.deepStrictEqual(log.slice(3), ['hide network']);
+        fadeOut('network');
+        assert.deepStrictEqual(log.slice(3), ['hide network', 'show publications']);
+        assert.strictEqual(window.location.hash, '#/publications');
+        assert.strictEqual(router.depth, 1);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * OrcidPublications against ORCID API responses served from test/fixtures/orcid
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixture, serveFixtures } = require('./helpers.js');
+
+const ORCID_ID = '0000-0002-8183-0457';
+
+test('OrcidPublications', async (t) => {
+    const api = await serveFixtures({
+        [`/v3.0/${ORCID_ID}/works`]: 'orcid/works.json',
+        [`/v3.0/${ORCID_ID}/works/1001,1002`]: 'orcid/works-1001,1002.json',
+        [`/v3.0/${ORCID_ID}/works/1003,1004`]: 'orcid/works-1003,1004.json'
+    });
+    t.after(api.close);
+
+    const source = options => new OrcidPublications({
+        orcidId: ORCID_ID,
+        apiUrl: `${api.url}/v3.0/`,
+        proxyFetcher: new ProxyFetcher({ proxies: [{ name: 'direct', url: null }], retries: 0 }),
+        ...options
+    });
+
+    await t.test('fetches the preferred work of every group in bulk batches', async () => {
+        api.requests.length = 0;
+        const orcid = source();
+        orcid.bulkSize = 2;
+
+        const publications = await orcid.fetchPublications();
+
+        assert.deepStrictEqual(api.requests, [
+            `/v3.0/${ORCID_ID}/works`,
+            `/v3.0/${ORCID_ID}/works/1001,1002`,
+            `/v3.0/${ORCID_ID}/works/1003,1004`
+        ]);
+        // Put-code 2001 is a second version of 1001 and 1004 comes back as an error entry
+        assert.deepStrictEqual(publications.map(pub => pub.id), ['orcid:1001', 'orcid:1002', 'orcid:1003']);
+    });
+
+    await t.test('rejects when the API does not know the record', async () => {
+        const orcid = source({ orcidId: '0000-0000-0000-0000' });
+
+        await assert.rejects(orcid.fetchPublications(), /HTTP error! status: 404/);
+    });
+
+    await t.test('maps a work with a DOI and contributors', () => {
+        const work = JSON.parse(fixture('orcid/works-1001,1002.json')).bulk[0].work;
+
+        assert.deepStrictEqual(source().mapWork(work), {
+            id: 'orcid:1001',
+            title: 'Network traffic profiling using data mining technique in campus environment',
+            authors: 'M. A. M. Ariffin, R. Ishak, Z. Kasiran',
+            venue: 'International Journal of Advanced Trends in Computer Science and Engineering',
+            year: '2020',
+            citations: null,
+            link: 'https://doi.org/10.5555/ijatcse.2020.001',
+            doi: '10.5555/ijatcse.2020.001'
+        });
+    });
+
+    await t.test('links a work without a DOI to its URL', () => {
+        const work = JSON.parse(fixture('orcid/works-1001,1002.json')).bulk[1].work;
+        const record = source().mapWork(work);
+
+        assert.strictEqual(record.link, 'https://ieeexplore.ieee.org/');
+        assert.strictEqual(record.doi, undefined);
+        assert.strictEqual(record.authors, 'M. A. M. Ariffin, A. K. Marnerides, A. U. Mauthe');
+    });
+
+    await t.test('fills in placeholders and no link for a work with only a title', () => {
+        const work = JSON.parse(fixture('orcid/works-1003,1004.json')).bulk[0].work;
+
+        assert.deepStrictEqual(source().mapWork(work), {
+            id: 'orcid:1003',
+            title: 'Implementation Of Dynamic Honeypot On Raspberry Pi',
+            authors: 'Unknown Authors',
+            venue: 'Unknown Venue',
+            year: 'Unknown Year',
+            citations: null,
+            link: ''
+        });
+    });
+});
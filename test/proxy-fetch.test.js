@@ -0,0 +1,110 @@
+/**
+ * ProxyFetcher against a local HTTP stub standing in for the CORS proxies and the target
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+require('./helpers.js');
+
+/**
+ * Start a stub server on a free port. Each path is a proxy: /ok answers with the target
+ * it was given, /fail answers 500, /hang never answers and /cached answers like the
+ * service worker does for a page it saved earlier.
+ */
+async function startStub() {
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://stub');
+
+        if (url.pathname === '/ok') {
+            response.end(`page for ${url.searchParams.get('url')}`);
+        } else if (url.pathname === '/cached') {
+            response.setHeader('X-SW-Cached-At', '2024-01-01T00:00:00.000Z');
+            response.end('saved page');
+        } else if (url.pathname === '/hang') {
+            // Left open until the client gives up
+        } else {
+            response.statusCode = 500;
+            response.end('proxy error');
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const proxy = name => ({ name, url: `${base}/${name}?url={url}` });
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return { proxy, close };
+}
+
+test('ProxyFetcher', async (t) => {
+    const stub = await startStub();
+    t.after(stub.close);
+
+    await t.test('builds proxy URLs with {url}, by appending, or directly', () => {
+        const fetcher = new ProxyFetcher({ proxies: [] });
+        const target = 'https://scholar.google.com/citations?user=x&hl=en';
+
+        assert.strictEqual(fetcher.buildUrl({ url: 'https://p.test/raw?url={url}' }, target), `https://p.test/raw?url=${encodeURIComponent(target)}`);
+        assert.strictEqual(fetcher.buildUrl({ url: 'https://p.test/' }, target), `https://p.test/${encodeURIComponent(target)}`);
+        assert.strictEqual(fetcher.buildUrl({ url: null }, target), target);
+    });
+
+    await t.test('walks the chain until a proxy answers and reports every attempt', async () => {
+        const fetcher = new ProxyFetcher({ proxies: [stub.proxy('fail'), stub.proxy('ok')], retries: 0 });
+
+        const text = await fetcher.fetchText('https://example.org/page');
+
+        assert.strictEqual(text, 'page for https://example.org/page');
+        assert.strictEqual(fetcher.lastReport.proxy, 'ok');
+        assert.strictEqual(fetcher.lastReport.url, 'https://example.org/page');
+        assert.strictEqual(fetcher.lastReport.cachedAt, null);
+        assert.deepStrictEqual(fetcher.lastReport.attempts.map(({ proxy, round, ok }) => ({ proxy, round, ok })), [
+            { proxy: 'fail', round: 0, ok: false },
+            { proxy: 'ok', round: 0, ok: true }
+        ]);
+        assert.strictEqual(fetcher.lastReport.attempts[0].error, 'HTTP error! status: 500');
+    });
+
+    await t.test('aborts an attempt that takes longer than the timeout', async () => {
+        const fetcher = new ProxyFetcher({ proxies: [stub.proxy('hang'), stub.proxy('ok')], timeout: 100, retries: 0 });
+
+        const text = await fetcher.fetchText('https://example.org/slow');
+
+        assert.strictEqual(text, 'page for https://example.org/slow');
+        assert.strictEqual(fetcher.lastReport.attempts[0].error, 'Timed out after 100ms');
+        assert.ok(fetcher.lastReport.attempts[0].ms >= 90);
+    });
+
+    await t.test('retries the whole chain with exponential backoff before giving up', async () => {
+        const waits = [];
+        const fetcher = new ProxyFetcher({ proxies: [stub.proxy('fail'), stub.proxy('hang')], timeout: 50, retries: 2, backoff: 10 });
+        fetcher.sleep = ms => {
+            waits.push(ms);
+            return Promise.resolve();
+        };
+
+        await assert.rejects(fetcher.fetchText('https://example.org/down'),
+            /^Error: All proxies failed for https:\/\/example\.org\/down \(last error: Timed out after 50ms\)$/);
+
+        assert.deepStrictEqual(waits, [10, 20]);
+        assert.strictEqual(fetcher.lastReport.proxy, null);
+        assert.deepStrictEqual(fetcher.lastReport.attempts.map(({ proxy, round }) => `${round}:${proxy}`),
+            ['0:fail', '0:hang', '1:fail', '1:hang', '2:fail', '2:hang']);
+    });
+
+    await t.test('reports when the service worker answered from its cache', async () => {
+        const fetcher = new ProxyFetcher({ proxies: [stub.proxy('cached')], retries: 0 });
+
+        assert.strictEqual(await fetcher.fetchText('https://example.org/offline'), 'saved page');
+        assert.strictEqual(fetcher.lastReport.cachedAt, '2024-01-01T00:00:00.000Z');
+    });
+
+    await t.test('fails straight away without proxies', async () => {
+        const fetcher = new ProxyFetcher({ proxies: [], retries: 0 });
+
+        await assert.rejects(fetcher.fetchText('https://example.org/'), /last error: no proxies configured/);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * PublicationMerger, and how ScholarPublications asks its sources
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+const SCHOLAR = {
+    id: 'EygguTUAAAAJ:u5HHmVD_uO8C',
+    title: 'Implementation of dynamic honeypot on raspberry pi',
+    authors: 'AR Adnan, MAM Ariffin',
+    venue: 'i-IDeA 2020',
+    year: '2021',
+    citations: '2',
+    link: 'https://scholar.google.com/citations?view_op=view_citation&citation_for_view=EygguTUAAAAJ:u5HHmVD_uO8C'
+};
+
+const ORCID = {
+    id: 'orcid:1003',
+    title: 'Implementation Of Dynamic Honeypot On Raspberry Pi',
+    authors: 'Adi Ridzan Adnan, Muhammad Azizi Mohd Ariffin',
+    venue: 'Unknown Venue',
+    year: '2021',
+    citations: null,
+    link: ''
+};
+
+test('PublicationMerger', async (t) => {
+    await t.test('takes every field from the first source in the configured order', () => {
+        const [merged] = PublicationMerger.merge([{ source: 'scholar', records: [SCHOLAR] }, { source: 'orcid', records: [ORCID] }]);
+
+        assert.deepStrictEqual(merged, {
+            id: SCHOLAR.id,
+            title: SCHOLAR.title,
+            authors: SCHOLAR.authors,
+            venue: SCHOLAR.venue,
+            year: '2021',
+            citations: '2',
+            link: SCHOLAR.link,
+            sources: ['scholar', 'orcid']
+        });
+    });
+
+    await t.test('follows the order when ORCID comes first, keeping Scholar\'s ID and missing fields', () => {
+        const [merged] = PublicationMerger.merge([{ source: 'orcid', records: [ORCID] }, { source: 'scholar', records: [SCHOLAR] }]);
+
+        assert.strictEqual(merged.id, ORCID.id);
+        assert.strictEqual(merged.scholarId, SCHOLAR.id);
+        assert.strictEqual(merged.title, ORCID.title);
+        assert.strictEqual(merged.authors, ORCID.authors);
+        assert.strictEqual(merged.venue, SCHOLAR.venue);
+        assert.strictEqual(merged.link, SCHOLAR.link);
+        assert.deepStrictEqual(merged.sources, ['orcid', 'scholar']);
+    });
+
+    await t.test('prefers a complete title over one Scholar cut short', () => {
+        const long = 'A Case Study On Digital Divide And Access To Information Communication Technologies (Icts) In Pulau Tuba, Langkawi, Malaysia';
+        const scholar = { ...SCHOLAR, title: `${long.substring(0, 60)}...` };
+        const [merged] = PublicationMerger.merge([{ source: 'scholar', records: [scholar] }, { source: 'orcid', records: [{ ...ORCID, title: long }] }]);
+
+        assert.strictEqual(merged.title, long);
+    });
+
+    await t.test('keeps the highest citation count and a DOI from any source', () => {
+        const [merged] = PublicationMerger.merge([
+            { source: 'scholar', records: [SCHOLAR] },
+            { source: 'orcid', records: [{ ...ORCID, doi: '10.5555/honeypot' }] },
+            { source: 'snapshot', records: [{ ...SCHOLAR, id: '2021-implementation-of-dynamic-honeypot-on-raspberry-pi', citations: '5', link: '#' }] }
+        ]);
+
+        assert.strictEqual(merged.citations, '5');
+        assert.strictEqual(merged.doi, '10.5555/honeypot');
+        assert.deepStrictEqual(merged.sources, ['scholar', 'orcid', 'snapshot']);
+    });
+
+    await t.test('keeps papers apart when the years or first authors differ', () => {
+        const merged = PublicationMerger.merge([
+            { source: 'scholar', records: [SCHOLAR] },
+            { source: 'orcid', records: [{ ...ORCID, year: '2010' }, { ...ORCID, id: 'orcid:9', authors: 'Someone Else' }] }
+        ]);
+
+        assert.strictEqual(merged.length, 3);
+    });
+});
+
+test('ScholarPublications live sources', async (t) => {
+    const publications = options => {
+        const fetcher = new ScholarPublications({ sources: ['scholar', 'orcid'], ...options });
+        fetcher.asked = [];
+        fetcher.fetchFromSource = async source => {
+            fetcher.asked.push(source);
+            fetcher.fetchReport = { proxy: 'stub' };
+            if (options.failing === source) throw new Error('No publications parsed');
+            return { publications: [source === 'scholar' ? SCHOLAR : ORCID], metrics: null };
+        };
+        fetcher.loadSnapshotRecords = async () => [{ ...SCHOLAR, id: 'snapshot-only', title: 'A paper only the snapshot has', authors: 'Z Kasiran' }];
+        return fetcher;
+    };
+
+    t.beforeEach(() => localStorage.clear());
+
+    await t.test('stop at the first source that answers when merging is off', async () => {
+        const fetcher = publications({ mergeSources: false });
+        await fetcher.fetchPublications();
+
+        assert.deepStrictEqual(fetcher.asked, ['scholar']);
+        assert.deepStrictEqual(fetcher.publications.map(pub => pub.id), [SCHOLAR.id]);
+        assert.strictEqual(fetcher.provenance.source, 'scholar');
+    });
+
+    await t.test('fall back to the next source when one fails', async () => {
+        const fetcher = publications({ mergeSources: false, failing: 'scholar' });
+        await fetcher.fetchPublications();
+
+        assert.deepStrictEqual(fetcher.asked, ['scholar', 'orcid']);
+        assert.deepStrictEqual(fetcher.publications.map(pub => pub.id), [ORCID.id]);
+        assert.strictEqual(fetcher.provenance.source, 'orcid');
+    });
+
+    await t.test('are all asked and merged with the snapshot when merging is on', async () => {
+        const fetcher = publications({ mergeSources: true });
+        await fetcher.fetchPublications();
+
+        assert.deepStrictEqual(fetcher.asked, ['scholar', 'orcid']);
+        assert.deepStrictEqual(fetcher.publications.map(pub => [pub.id, pub.sources.join(',')]), [
+            [SCHOLAR.id, 'scholar,orcid'],
+            ['snapshot-only', 'snapshot']
+        ]);
+        assert.strictEqual(fetcher.provenance.source, 'scholar,orcid');
+    });
+});
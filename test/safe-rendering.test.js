@@ -0,0 +1,114 @@
+/**
+ * Hostile scraped pages (test/fixtures/malicious) fed through the parsers and the renderers:
+ * the markup that reaches innerHTML must hold no scripts, event handlers or script URLs,
+ * with the hostile text shown as text instead
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM, fixture } = require('./helpers.js');
+
+const BLOCKED_TAGS = ['SCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'STYLE', 'BASE', 'META', 'FORM', 'LINK'];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+/**
+ * Load rendered markup into a document that runs scripts, and check that nothing in it could:
+ * returns the document's text for checking what was shown instead
+ */
+function assertInert(markup) {
+    const dom = new JSDOM(`<!doctype html><html><body>${markup}</body></html>`, { runScripts: 'dangerously' });
+    const { window } = dom;
+
+    try {
+        assert.strictEqual(window.pwned, undefined, 'a script ran');
+        window.document.body.querySelectorAll('*').forEach(element => {
+            assert.ok(!BLOCKED_TAGS.includes(element.tagName.toUpperCase()), `<${element.tagName.toLowerCase()}> element rendered`);
+
+            Array.from(element.attributes).forEach(attribute => {
+                assert.ok(!/^on/i.test(attribute.name), `${attribute.name} handler on <${element.tagName.toLowerCase()}>`);
+                if (URL_ATTRIBUTES.includes(attribute.name)) {
+                    assert.match(attribute.value, /^(https?:\/\/|#)/, `${attribute.name}="${attribute.value}"`);
+                }
+            });
+        });
+        return window.document.body.textContent.replace(/\s+/g, ' ');
+    } finally {
+        window.close();
+    }
+}
+
+test('Scholar profile rows render inert in every citation style', () => {
+    const scholar = new ScholarPublications({ sources: ['scholar'] });
+    const publications = scholar.parsePublications(fixture('malicious/scholar-profile.html'));
+
+    assert.strictEqual(publications.length, 4);
+    assert.deepStrictEqual(publications.map(pub => pub.link), [
+        'https://scholar.google.com/citations?view_op=view_citation&hl=en&user=EygguTUAAAAJ&citation_for_view=EygguTUAAAAJ:u5HHmVD_uO8C',
+        '#',
+        '#',
+        '#'
+    ]);
+
+    ['', ...Object.keys(CitationFormatter.STYLES)].forEach(style => {
+        scholar.citationStyle = style;
+        const text = assertInert(SafeHtml.html`${publications.map((pub, index) => scholar.renderPublicationItem(pub, index))}`.toString());
+
+        assert.ok(text.includes('<img src=x onerror="window.pwned=\'title\'">'), `title shown as text (${style || 'default'})`);
+        assert.ok(text.includes('<script>window.pwned=\'authors\'</script>'), `authors shown as text (${style || 'default'})`);
+    });
+});
+
+test('Crossref metadata with markup in the DOI and URL renders inert', () => {
+    const crossref = new CrossrefEnricher({ cache: new DataCache('crossref-test') });
+    const pub = crossref.apply(
+        { id: 'x', title: 'Paper', authors: 'A Author', venue: 'J', year: '2020', citations: '1', link: '#' },
+        { doi: '10.5555/"><script>window.pwned=1</script>', url: 'javascript:window.pwned=2', volume: '<b>1</b>', issue: '', pages: '', issn: '' }
+    );
+    const scholar = new ScholarPublications({ sources: ['scholar'] });
+
+    ['', 'apa'].forEach(style => {
+        scholar.citationStyle = style;
+        const text = assertInert(scholar.renderPublicationItem(pub, 0).toString());
+        assert.ok(text.includes('DOI: 10.5555/"><script>window.pwned=1</script>'));
+    });
+});
+
+test('UiTM Expert grant rows render inert in the summary and the grant list', () => {
+    const expert = new ExpertResearchGrants();
+    const grants = expert.parseResearchGrants(fixture('malicious/expert-profile.html'));
+
+    assert.strictEqual(grants.length, 3);
+
+    const markup = SafeHtml.html`
+        ${GrantSummary.render(grants, new Date('2022-06-01'))}
+        ${GrantStatus.group(grants, new Date('2022-06-01')).map(({ state, grants: inState }) => inState.map((grant, index) => expert.renderGrantItem(grant, index, state)))}
+    `;
+    const text = assertInert(markup.toString());
+
+    assert.ok(text.includes('<svg onload="window.pwned=\'title\'"> Grant About Things'));
+    assert.ok(text.includes('<script>window.pwned=\'team\'</script>'));
+});
+
+test('A Scholar citation page renders inert in the details panel', () => {
+    const details = ScholarCitationDetails.parse(fixture('malicious/scholar-citation.html'), 'https://scholar.google.com/citations?view_op=view_citation&hl=en&citation_for_view=a:b');
+
+    assert.strictEqual(details.pdf, null);
+    assert.strictEqual(details.link, null);
+    assert.deepStrictEqual(details.citationsPerYear, [{ year: 2021, count: 2 }, { year: 2022, count: 0 }]);
+
+    const text = assertInert(ScholarCitationDetails.render(details).toString());
+
+    assert.ok(text.includes('<img src=x onerror="window.pwned=\'title\'"> Full title'));
+    assert.ok(text.includes('</div><script>window.pwned=\'venue\'</script>'));
+    assert.ok(text.includes('An abstractwindow.pwned=\'abstract\' <style>body{display:none}</style>.'));
+});
+
+test('SafeHtml.url keeps only http, https and DOI links', () => {
+    assert.strictEqual(SafeHtml.url('https://doi.org/10.5555/x'), 'https://doi.org/10.5555/x');
+    assert.strictEqual(SafeHtml.url('doi:10.5555/x'), 'https://doi.org/10.5555/x');
+    assert.strictEqual(SafeHtml.url(' JavaScript:alert(1)'), '#');
+    assert.strictEqual(SafeHtml.url('data:text/html,<script>alert(1)</script>'), '#');
+    assert.strictEqual(SafeHtml.url('vbscript:msgbox(1)'), '#');
+    assert.strictEqual(SafeHtml.url('//evil.example/x'), '#');
+    assert.strictEqual(SafeHtml.url(null), '#');
+});
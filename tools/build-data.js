@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Snapshot Generator
+ * Runs the same parsers the site uses against saved or freshly fetched HTML
+ * and writes the versioned data/publications.json and data/grants.json files.
+ *
+ * Usage:
+ *   node tools/build-data.js [--scholar <file,...>] [--expert <file>] [--only publications|grants] [--out <dir>]
+ *
+ * --scholar takes one or more saved profile pages (cstart=0, 100, ...) separated by commas.
+ * Without --scholar / --expert the profile pages are fetched live (Node 18+), and
+ * every Scholar page is requested until the profile runs out of rows.
+ * A snapshot is only overwritten when parsing produced usable records, and grant
+ * statusOverride values already in it are carried over to the new records.
+ * Run tools/build-structured-data.js afterwards to refresh the JSON-LD in index.html.
+ * Needs jsdom for DOMParser: npm install --no-save jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The browser classes rely on DOMParser and on globals defined by the other scripts
+global.DOMParser = new JSDOM('').window.DOMParser;
+global.DataSnapshot = require('../js/data-snapshot.js');
+global.ProxyFetcher = require('../js/proxy-fetch.js');
+global.DataCache = require('../js/data-cache.js');
+global.PublicationFields = require('../js/publication-fields.js');
+global.PublicationFilter = require('../js/publication-filter.js');
+global.GrantFields = require('../js/grant-fields.js');
+global.OrcidPublications = require('../js/orcid-publications.js');
+global.PublicationMerger = require('../js/publication-merge.js');
+global.CrossrefEnricher = require('../js/crossref-enrich.js');
+global.ScholarCitationDetails = require('../js/scholar-citation.js');
+
+const ScholarPublications = require('../js/scholar-publications.js');
+const ExpertResearchGrants = require('../js/expert-research.js');
+
+const TARGETS = {
+    publications: {
+        file: 'publications.json',
+        option: 'scholar',
+        source: 'scholar',
+        create: () => new ScholarPublications(),
+        url: fetcher => fetcher.scholarUrl,
+        collect: async (fetcher, files) => {
+            if (!files) {
+                const { publications, metrics } = await fetcher.fetchAllPages(fetchHtml);
+                return { records: publications, extra: { metrics } };
+            }
+
+            const pages = files.split(',').map(readHtml);
+            return {
+                records: fetcher.mergePages(pages.map(html => fetcher.parsePublications(html))),
+                extra: { metrics: fetcher.parseMetrics(pages[0]) }
+            };
+        }
+    },
+    grants: {
+        file: 'grants.json',
+        option: 'expert',
+        source: 'uitm-expert',
+        key: 'researchGrants',
+        create: () => new ExpertResearchGrants(),
+        url: fetcher => fetcher.expertUrl,
+        collect: async (fetcher, file) => ({
+            records: fetcher.parseResearchGrants(file ? readHtml(file) : await fetchHtml(fetcher.expertUrl))
+        }),
+        // Manual status overrides are edited by hand in the snapshot and must survive a rebuild
+        preserve: (fetcher, records, previous) => fetcher.applyStatusOverrides(records, previous)
+    }
+};
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+        i++;
+    }
+    return args;
+}
+
+/**
+ * Read a saved page from disk
+ */
+function readHtml(file) {
+    return fs.readFileSync(file, 'utf8');
+}
+
+// No CORS proxy is needed outside the browser, so pages are fetched directly
+const directFetcher = new ProxyFetcher({ proxies: [{ name: 'direct', url: null }], timeout: 30000 });
+
+/**
+ * Fetch a live page with the same timeout and retry handling as the site
+ */
+function fetchHtml(url) {
+    return directFetcher.fetchText(url, { headers: { 'User-Agent': 'Mozilla/5.0 (snapshot generator)' } });
+}
+
+/**
+ * Parse one target and write its snapshot, returning false when it was skipped
+ */
+async function buildTarget(name, args) {
+    const target = TARGETS[name];
+    const key = target.key || name;
+    const fetcher = target.create();
+    const sourceUrl = target.url(fetcher);
+
+    const { records, extra } = await target.collect(fetcher, args[target.option]);
+
+    if (records.length === 0) {
+        console.error(`${name}: no records parsed, keeping the existing snapshot`);
+        return false;
+    }
+
+    const outFile = path.join(args.out || path.join(__dirname, '..', 'data'), target.file);
+    if (target.preserve && fs.existsSync(outFile)) {
+        target.preserve(fetcher, records, JSON.parse(fs.readFileSync(outFile, 'utf8'))[key] || []);
+    }
+
+    const snapshot = DataSnapshot.create(key, records, { source: target.source, sourceUrl }, extra);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(snapshot, null, 4) + '\n');
+    console.log(`${name}: wrote ${records.length} records to ${outFile}`);
+    return true;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const names = args.only ? [args.only] : Object.keys(TARGETS);
+
+    let ok = true;
+    for (const name of names) {
+        if (!TARGETS[name]) {
+            throw new Error(`Unknown target: ${name}`);
+        }
+        try {
+            ok = await buildTarget(name, args) && ok;
+        } catch (error) {
+            console.error(`${name}: ${error.message}`);
+            ok = false;
+        }
+    }
+
+    process.exitCode = ok ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
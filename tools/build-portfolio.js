@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Portfolio Generator
+ * Renders the profile grid and its modals from data/portfolio.json and writes them
+ * into index.html between the "generated from data/portfolio.json" marker comments.
+ * Edit the content file, not the generated markup, then run this script.
+ *
+ * Usage:
+ *   node tools/build-portfolio.js [--page <index.html>] [--content <portfolio.json>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The renderer relies on the SafeHtml global defined by the site scripts
+global.SafeHtml = require('../js/safe-html.js');
+
+const PortfolioContent = require('../js/portfolio-content.js');
+
+const REGIONS = {
+    items: { indent: 20, render: sections => sections.map(section => PortfolioContent.renderTile(section)) },
+    modals: { indent: 8, render: sections => sections.map(section => PortfolioContent.renderModal(section)) }
+};
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+        i++;
+    }
+    return args;
+}
+
+/**
+ * Re-indent generated markup by tag nesting, four spaces per level from the given column
+ */
+function format(markup, indent) {
+    let depth = 0;
+    return markup.split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .map(line => {
+            const opened = Array.from(line.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<(\/?)([a-zA-Z][\w-]*)[^>]*?(\/?)>/g))
+                .reduce((count, [, closing, tag, selfClosing]) => {
+                    if (closing) return count - 1;
+                    return VOID_TAGS.has(tag.toLowerCase()) || selfClosing ? count : count + 1;
+                }, 0);
+
+            // A line that starts by closing a tag sits at the level of that tag's opening line
+            const level = line.startsWith('</') ? depth - 1 : depth;
+            depth += opened;
+            return ' '.repeat(indent + Math.max(level, 0) * 4) + line;
+        })
+        .join('\n');
+}
+
+/**
+ * The page with one marked region replaced by freshly rendered markup
+ */
+function replaceRegion(html, name, markup) {
+    const pattern = new RegExp(`(<!-- Portfolio ${name}: generated from data/portfolio\\.json[^>]*-->)[\\s\\S]*?(\\n[ \\t]*<!-- End of generated portfolio ${name.toLowerCase()}-->)`, 'i');
+    if (!pattern.test(html)) {
+        throw new Error(`Page has no generated portfolio ${name.toLowerCase()} region`);
+    }
+    return html.replace(pattern, (match, start, end) => `${start}\n${markup}${end}`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const root = path.join(__dirname, '..');
+    const pageFile = args.page || path.join(root, 'index.html');
+    const contentFile = args.content || path.join(root, 'data', 'portfolio.json');
+
+    const sections = PortfolioContent.validate(JSON.parse(fs.readFileSync(contentFile, 'utf8')));
+    let html = fs.readFileSync(pageFile, 'utf8');
+
+    Object.entries(REGIONS).forEach(([name, region]) => {
+        const markup = format(SafeHtml.html`${region.render(sections)}`.toString(), region.indent);
+        html = replaceRegion(html, name[0].toUpperCase() + name.slice(1), markup);
+    });
+
+    fs.writeFileSync(pageFile, html);
+    console.log(`portfolio: wrote ${sections.length} sections to ${pageFile}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Structured Data Generator
+ * Builds the schema.org JSON-LD from the data/ snapshots and the contact links in
+ * index.html, and writes it into the <script type="application/ld+json" id="structured-data">
+ * tag in the page head, so crawlers see it without running JavaScript.
+ * Run it after tools/build-data.js whenever the snapshots change.
+ *
+ * Usage:
+ *   node tools/build-structured-data.js [--page <index.html>] [--data <dir>]
+ *
+ * Needs jsdom to read the contact section: npm install --no-save jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The browser classes rely on globals defined by the other scripts
+global.SafeHtml = require('../js/safe-html.js');
+global.DataSnapshot = require('../js/data-snapshot.js');
+global.PublicationFields = require('../js/publication-fields.js');
+
+const StructuredData = require('../js/structured-data.js');
+
+const SCRIPT_PATTERN = /[ \t]*<script type="application\/ld\+json" id="structured-data">[\s\S]*?<\/script>\n/;
+const INDENT = '        ';
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+        i++;
+    }
+    return args;
+}
+
+/**
+ * Read and validate one snapshot, returning its records
+ */
+function readSnapshot(dir, file, key) {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return DataSnapshot.validate(snapshot, key)[key];
+}
+
+/**
+ * The page with its JSON-LD tag replaced, or added at the end of the head
+ */
+function embed(html, json) {
+    const body = json.split('\n').map(line => `${INDENT}    ${line}`).join('\n');
+    const tag = `${INDENT}<script type="application/ld+json" id="structured-data">\n${body}\n${INDENT}</script>\n`;
+
+    if (SCRIPT_PATTERN.test(html)) {
+        return html.replace(SCRIPT_PATTERN, () => tag);
+    }
+    if (!html.includes('</head>')) {
+        throw new Error('Page has no </head> to add the JSON-LD to');
+    }
+    return html.replace(/([ \t]*)<\/head>/, (match, indent) =>
+        `${INDENT}<!-- Schema.org structured data, generated by tools/build-structured-data.js-->\n${tag}${indent}</head>`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const root = path.join(__dirname, '..');
+    const pageFile = args.page || path.join(root, 'index.html');
+    const dataDir = args.data || path.join(root, 'data');
+
+    const html = fs.readFileSync(pageFile, 'utf8');
+    const contact = StructuredData.contactFromDocument(new JSDOM(html).window.document);
+    const publications = readSnapshot(dataDir, 'publications.json', 'publications');
+    const grants = readSnapshot(dataDir, 'grants.json', 'researchGrants');
+
+    const data = StructuredData.build({ contact, publications, grants });
+    fs.writeFileSync(pageFile, embed(html, StructuredData.serialize(data)));
+    console.log(`structured data: wrote ${data['@graph'].length} items to ${pageFile}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}